@@ -0,0 +1,63 @@
+/**
+ * Streaming mono resampler, shared by the server (ws-server.js, audio ingest and file
+ * transcription) and the browser capture in client.html, where it is loaded with a
+ * <script> tag and also bundled into the AudioWorklet module - so it must stay a
+ * self-contained plain script without dependencies.
+ */
+
+/**
+ * Create a streaming mono resampler: (Float32Array) → Float32Array at the output rate
+ * Downsampling applies a Hamming-windowed sinc low-pass first to avoid aliasing,
+ * then samples are taken by linear interpolation
+ */
+function createResampler(inputRate, outputRate) {
+  const ratio = inputRate / outputRate; // Input samples per output sample
+  let position = 0; // Next output sample, relative to the current block
+  let previous = 0; // Last (filtered) input sample - index -1 of the current block
+
+  // Anti-aliasing filter - only needed when the input rate is higher
+  let filter = null;
+  if (ratio > 1) {
+    const taps = 31;
+    const cutoff = 0.5 / ratio;
+    filter = new Float32Array(taps);
+    let sum = 0;
+    for (let i = 0; i < taps; i++) {
+      const x = i - (taps - 1) / 2;
+      const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+      filter[i] = sinc * (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (taps - 1)));
+      sum += filter[i];
+    }
+    filter = filter.map(c => c / sum);
+  }
+  const history = filter ? new Float32Array(filter.length) : null;
+  let historyIndex = 0;
+
+  return (input) => {
+    const output = new Float32Array(Math.ceil((input.length - position) / ratio) + 1);
+    let count = 0;
+    for (let i = 0; i < input.length; i++) {
+      let sample = input[i];
+      if (filter) {
+        history[historyIndex] = sample;
+        historyIndex = (historyIndex + 1) % history.length;
+        sample = 0;
+        for (let k = 0; k < filter.length; k++) {
+          sample += filter[k] * history[(historyIndex + k) % history.length];
+        }
+      }
+      // Output samples that fall between the previous input sample and this one
+      while (position <= i) {
+        output[count++] = previous + (sample - previous) * (position - (i - 1));
+        position += ratio;
+      }
+      previous = sample;
+    }
+    position -= input.length;
+    return output.subarray(0, count);
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createResampler };
+}
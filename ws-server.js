@@ -16,6 +16,9 @@ const WebSocket = require('ws');
 const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
+const net = require('net');
+const { EventEmitter } = require('events');
+const { createResampler } = require('./resampler'); // Shared with client.html
 
 // Load .env file from the same directory as this script
 require('dotenv').config({ path: path.join(__dirname, '.env') });
@@ -24,13 +27,13 @@ require('dotenv').config({ path: path.join(__dirname, '.env') });
 const LOG_FILE = path.join(__dirname, 'server.log');
 const logStream = fs.createWriteStream(LOG_FILE, { flags: 'a' });
 
-// Caption history logging
+// Caption history logging (main room; other rooms use captions-<room>.log)
 const CAPTIONS_LOG_FILE = path.join(__dirname, 'captions.log');
-const captionsStream = fs.createWriteStream(CAPTIONS_LOG_FILE, { flags: 'a' });
-const captionHistory = []; // In-memory store for current session (for quick access)
+const SPEAKERS_FILE = path.join(__dirname, 'speakers.json');
+const CONTEXT_PROFILES_FILE = path.join(__dirname, 'context-profiles.json');
+const THEMES_FILE = path.join(__dirname, 'themes.json');
 
-// SSE clients for real-time streaming
-const transcriptSSEClients = new Set();
+// SSE clients for real-time log streaming (transcript SSE clients are kept per room)
 const logsSSEClients = new Set();
 
 // Save original console methods FIRST (before any function uses them)
@@ -109,29 +112,112 @@ console.warn = function(...args) {
 };
 
 /**
- * Log a caption to the caption history
+ * Format a caption entry as a captions.log line (one JSON object per line)
+ */
+function formatCaptionLine(entry) {
+  return JSON.stringify({
+    timestamp: entry.timestamp,
+    text: entry.text,
+    language: entry.language || undefined,
+    detectedLanguage: entry.detectedLanguage || undefined,
+    startMs: typeof entry.startMs === 'number' ? entry.startMs : undefined,
+    endMs: typeof entry.endMs === 'number' ? entry.endMs : undefined,
+    audioAnchor: entry.audioAnchor || undefined,
+    audioFile: entry.audioFile || undefined,
+    speaker: entry.speaker || undefined,
+    event: entry.event || undefined
+  });
+}
+
+/**
+ * Parse a captions.log line
+ * Older files use "timestamp<TAB>text" lines, which are still read (language unknown)
+ */
+function parseCaptionLine(line) {
+  if (line.startsWith('{')) {
+    try {
+      const entry = JSON.parse(line);
+      if (entry && entry.timestamp && typeof entry.text === 'string') {
+        return entry;
+      }
+    } catch (err) {
+      // Not JSON - fall through to the legacy format
+    }
+  }
+  const parts = line.split('\t');
+  return {
+    timestamp: parts[0],
+    text: parts.slice(1).join('\t') // Handle text with tabs
+  };
+}
+
+/**
+ * Wall-clock start and end (ms since epoch) of the audio a caption was spoken in
+ * startMs/endMs are positions in the room's audio timeline, which began at audioAnchor
+ * Returns null for entries without audio timings (older logs, providers without word timings)
+ */
+function getCaptionAudioTimes(entry) {
+  if (!entry.audioAnchor || typeof entry.startMs !== 'number') return null;
+  const anchorMs = new Date(entry.audioAnchor).getTime();
+  if (isNaN(anchorMs)) return null;
+  return {
+    start: anchorMs + entry.startMs,
+    end: anchorMs + (typeof entry.endMs === 'number' ? entry.endMs : entry.startMs)
+  };
+}
+
+/**
+ * When a caption was spoken - the start of its audio, or the time it was logged if untimed
+ */
+function getCaptionTime(entry) {
+  const audioTimes = getCaptionAudioTimes(entry);
+  return audioTimes ? audioTimes.start : new Date(entry.timestamp).getTime();
+}
+
+/**
+ * Log a caption to a room's caption history
+ * @param {Object} session - The caption session (room) the caption belongs to
  * @param {string} text - The caption text
  * @param {boolean} isFinal - Whether this is a final caption
+ * @param {Object} details - Caption metadata:
+ *   language - Caption language (each target language is logged separately, default: room's primary language)
+ *   detectedLanguage - Spoken language the caption was translated from (two-way mode)
+ *   startMs, endMs - Position of the caption in the room's audio timeline
+ *   audioAnchor - Wall-clock time (ISO) at which that audio timeline began
+ *   audioFile - Audio archive file the caption was spoken in (see AUDIO ARCHIVE)
+ *   speaker - Speaker label from diarization (e.g. "1"), shown by its current name
+ *   event - Marks an entry that is not a caption: 'hold' or 'resume' (see CAPTION HOLD),
+ *           shown in the transcript of every language
  */
-function logCaption(text, isFinal = true) {
+function logCaption(session, text, isFinal = true, details = {}) {
   if (!text || !isFinal) return; // Only log final captions
 
   const timestamp = new Date().toISOString();
   const entry = {
     timestamp,
     text,
+    language: details.event ? null : (details.language || session.primaryLanguage),
+    detectedLanguage: details.detectedLanguage || null,
+    startMs: typeof details.startMs === 'number' ? details.startMs : null,
+    endMs: typeof details.endMs === 'number' ? details.endMs : null,
+    audioAnchor: details.audioAnchor || null,
+    audioFile: details.audioFile || null,
+    speaker: details.speaker || null,
+    event: details.event || null,
+    room: session.name,
     session: new Date().toISOString().split('T')[0] // Date as session ID
   };
 
   // Add to in-memory history (limit to last 1000 captions for quick access)
-  captionHistory.push(entry);
-  if (captionHistory.length > 1000) {
-    captionHistory.shift();
+  session.captionHistory.push(entry);
+  if (session.captionHistory.length > 1000) {
+    session.captionHistory.shift();
   }
 
   // Write to file (append) - file grows indefinitely, no auto-clear
   // File is only cleared manually via /transcript/clear endpoint
-  const logLine = `${timestamp}\t${text}\n`;
+  const logLine = formatCaptionLine(entry) + '\n';
+  const captionsStream = session.captionsStream;
   try {
     if (captionsStream && captionsStream.writable && !captionsStream.destroyed) {
       captionsStream.write(logLine);
@@ -143,13 +229,17 @@ function logCaption(text, isFinal = true) {
     }
   }
 
-  // Broadcast to SSE clients
-  const sseData = JSON.stringify(entry);
-  transcriptSSEClients.forEach(client => {
+  // Broadcast to SSE clients watching this room
+  const sseData = JSON.stringify({
+    ...entry,
+    speakerName: getSpeakerName(session.speakerNames, entry.speaker),
+    direction: getTextDirection(entry.language, entry.text)
+  });
+  session.transcriptSSEClients.forEach(client => {
     try {
       client.write(`data: ${sseData}\n\n`);
     } catch (err) {
-      transcriptSSEClients.delete(client);
+      session.transcriptSSEClients.delete(client);
     }
   });
 }
@@ -179,31 +269,150 @@ const SONIOX_WS_URL = 'wss://stt-rt.soniox.com/transcribe-websocket';
 const DEFAULT_SONIOX_API_KEY = process.env.SONIOX_MASTER_API_KEY || '885a41baf0c85746228dd44ab442c3770e2c69f4f6f22bb7e3244de0d6d7899c';
 const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
 
+// Vosk configuration (local kaldi/vosk-server WebSocket, no account or internet needed)
+const DEFAULT_VOSK_SERVER_URL = process.env.VOSK_SERVER_URL || 'ws://localhost:2700';
+
+// Speech provider used when the client doesn't ask for a specific one
+const DEFAULT_SPEECH_PROVIDER = process.env.SPEECH_PROVIDER || 'soniox';
+
+// Voice activity detection defaults (see VOICE ACTIVITY DETECTION)
+const DEFAULT_VAD_THRESHOLD_DB = Number(process.env.VAD_THRESHOLD_DB) || -45; // Audio level (dBFS) counted as speech
+const DEFAULT_VAD_SILENCE_SECONDS = Number(process.env.VAD_SILENCE_SECONDS) > 0 ? Number(process.env.VAD_SILENCE_SECONDS) : 3;
+
 // YouTube Captions configuration (optional - only used if YOUTUBE_CAPTION_URL is set)
 // Support both YOUTUBE_CAPTION_URL (singular) and YOUTUBE_CAPTIONS_URL (plural) for compatibility
 const YOUTUBE_CAPTIONS_URL = process.env.YOUTUBE_CAPTION_URL || process.env.YOUTUBE_CAPTIONS_URL;
 const YOUTUBE_CAPTIONS_LANGUAGE = process.env.LANGUAGE || 'en';
 
-// Soniox connection state management
-let sonioxWs = null;
-let isSonioxConfigured = false;
-let sonioxConnectionState = 'disconnected'; // 'disconnected', 'connecting', 'connected', 'error'
-let currentSonioxConfig = {
+// Speech provider config each new room starts with (connection state lives on the session)
+const DEFAULT_PROVIDER_CONFIG = {
+  provider: DEFAULT_SPEECH_PROVIDER,
   apiKey: DEFAULT_SONIOX_API_KEY,
+  voskUrl: DEFAULT_VOSK_SERVER_URL,
   sourceLanguage: 'ml', // Malayalam (default)
-  targetLanguage: 'en'  // English (default)
+  targetLanguage: 'en', // English (default)
+  translationMode: 'one_way', // 'one_way' (source → targets) or 'two_way' (interpretation between source and target)
+  speakerDiarization: false, // Label captions with who is speaking (providers that support it)
+  contextProfile: null, // Name of the vocabulary/context profile sent to the provider (see CONTEXT PROFILES)
+  vad: process.env.VAD === 'true', // Stop forwarding long silences to the provider (see VOICE ACTIVITY DETECTION)
+  vadThresholdDb: DEFAULT_VAD_THRESHOLD_DB,
+  vadSilenceSeconds: DEFAULT_VAD_SILENCE_SECONDS,
+  inputMode: 'mix' // Several audio inputs: 'mix' into one stream, or 'separate' provider streams per input (see AUDIO INPUTS)
 };
-let manualDisconnect = false; // Track if user manually disconnected
-let captionClients = new Set(); // Connected caption display clients
-let clientWebSockets = []; // Browser clients (mic input)
-let reconnectAttempts = 0;
-let reconnectTimeout = null;
-let lastAudioSentTime = 0;
-let connectionStartTime = 0;
 const MAX_RECONNECT_ATTEMPTS = Infinity; // Allow infinite reconnects for long sessions
 const RECONNECT_DELAY = 2000; // Start with 2s, will use exponential backoff
 const HEARTBEAT_INTERVAL = 30000; // 30 seconds
-let heartbeatInterval = null;
+const CAPTION_MESSAGE_VERSION = 1; // Version of the structured caption messages sent on /captions
+
+// ===== LINE BREAKING =====
+
+// Captions are broken into lines where the script allows it: Intl.Segmenter finds the
+// word boundaries, so Chinese and Japanese (written without spaces) can break between
+// words, and punctuation stays with its word. Lengths are counted in characters as
+// readers see them (grapheme clusters - a Malayalam conjunct is one character, not
+// several code units). A word longer than a whole line is split between characters.
+// Captions shown whole are balanced: their lines are made as even as possible, as in
+// professional subtitling. captions.html breaks lines the same way, by measured width.
+
+const YOUTUBE_MAX_LINE_LENGTH = 32;
+const YOUTUBE_MAX_LINES = 2;
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+function countCharacters(text) {
+  let count = 0;
+  for (const _ of graphemeSegmenter.segment(text)) count++;
+  return count;
+}
+
+/**
+ * Split text into units that lines may break between: { text, space }
+ * space tells whether a space follows the unit (it is dropped at a line break)
+ */
+function segmentText(text) {
+  const units = [];
+  let opening = false; // The last unit is punctuation that opens the next word ("(", "¿")
+  for (const { segment, isWordLike } of wordSegmenter.segment(text)) {
+    const last = units[units.length - 1];
+    if (/^\s+$/.test(segment)) {
+      if (last) last.space = true;
+    } else if (last && !last.space && (!isWordLike || opening)) {
+      last.text += segment; // Punctuation stays with the word before it
+      opening = false;
+    } else {
+      units.push({ text: segment, space: false });
+      opening = !isWordLike;
+    }
+  }
+  return units;
+}
+
+/**
+ * Split a unit that is longer than a whole line between characters
+ */
+function splitLongUnit(unit, maxLength) {
+  if (countCharacters(unit.text) <= maxLength) return [unit];
+  const pieces = [];
+  let piece = '';
+  let pieceLength = 0;
+  for (const { segment } of graphemeSegmenter.segment(unit.text)) {
+    if (pieceLength === maxLength) {
+      pieces.push({ text: piece, space: false });
+      piece = '';
+      pieceLength = 0;
+    }
+    piece += segment;
+    pieceLength++;
+  }
+  pieces.push({ text: piece, space: unit.space });
+  return pieces;
+}
+
+/**
+ * Fill lines with units, up to maxLength characters each
+ * @returns {Array<Array<Object>>} Lines of units
+ */
+function fillLines(units, maxLength) {
+  const lines = [];
+  let line = [];
+  let lineLength = 0;
+  units.forEach(unit => {
+    const gap = line.length > 0 && line[line.length - 1].space ? 1 : 0;
+    const length = countCharacters(unit.text);
+    if (line.length > 0 && lineLength + gap + length > maxLength) {
+      lines.push(line);
+      line = [];
+      lineLength = 0;
+    }
+    lineLength += (line.length > 0 ? gap : 0) + length;
+    line.push(unit);
+  });
+  if (line.length > 0) lines.push(line);
+  return lines;
+}
+
+/**
+ * Re-break lines into as many lines, each as short as possible (the shortest maximum length)
+ */
+function balanceLines(lines, maxLength) {
+  if (lines.length < 2) return lines;
+  const units = lines.flat();
+  let shortest = 1;
+  let longest = maxLength;
+  while (shortest < longest) {
+    const length = Math.floor((shortest + longest) / 2);
+    if (fillLines(units, length).length <= lines.length) {
+      longest = length;
+    } else {
+      shortest = length + 1;
+    }
+  }
+  return fillLines(units, longest);
+}
+
+function joinLine(units) {
+  return units.map((unit, index) => unit.text + (unit.space && index < units.length - 1 ? ' ' : '')).join('');
+}
 
 /**
  * Format caption text for YouTube Live (YouTube-safe format)
@@ -211,33 +420,52 @@ let heartbeatInterval = null;
  * - ≤ 2 lines
  * - ≤ 32 chars per line
  * - UNIX newline
+ * Text too long for one caption is split into several, each with balanced lines
+ * @returns {Array<string>} Captions, oldest first
  */
-function formatYouTubeCaption(text) {
-  if (!text) return '';
-  
-  const words = text.trim().split(/\s+/).filter(w => w.length > 0);
-  const lines = [];
-  let current = '';
-
-  for (const word of words) {
-    if (current.length + word.length + 1 <= 32) {
-      current = current ? `${current} ${word}` : word;
-    } else {
-      if (current) {
-        lines.push(current);
-        current = word;
-        if (lines.length === 2) {
-          break; // Max 2 lines
-        }
-      }
-    }
+function formatYouTubeCaptions(text) {
+  if (!text || !text.trim()) return [];
+
+  const units = segmentText(text.trim()).flatMap(unit => splitLongUnit(unit, YOUTUBE_MAX_LINE_LENGTH));
+  const lines = fillLines(units, YOUTUBE_MAX_LINE_LENGTH);
+  const captions = [];
+  for (let i = 0; i < lines.length; i += YOUTUBE_MAX_LINES) {
+    captions.push(balanceLines(lines.slice(i, i + YOUTUBE_MAX_LINES), YOUTUBE_MAX_LINE_LENGTH).map(joinLine).join('\n'));
   }
+  return captions;
+}
+
+// ===== TEXT DIRECTION =====
 
-  if (current && lines.length < 2) {
-    lines.push(current);
+// Arabic, Hebrew, Urdu and Persian are written right to left. A caption's direction comes
+// from its language when that is known, otherwise from its first letter. Displays and the
+// transcript page are told the direction (caption messages and transcript entries carry it)
+// and let the browser's bidi algorithm lay out mixed text - a Latin name inside an Arabic
+// sentence, punctuation that mirrors. Plain-text exports have no markup, so their
+// right-to-left lines start with a right-to-left mark instead.
+
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi']);
+const RTL_SCRIPT_PATTERN = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Adlam}]/u;
+const RIGHT_TO_LEFT_MARK = '\u200F';
+
+/**
+ * Direction of a caption: 'rtl' or 'ltr'
+ * @param {string} language - Caption language code, if known ('auto' or null: detected from the text)
+ */
+function getTextDirection(language, text) {
+  if (language && language !== 'auto') {
+    return RTL_LANGUAGES.has(language.toLowerCase().split(/[-_]/)[0]) ? 'rtl' : 'ltr';
   }
+  const firstLetter = (text || '').match(/\p{L}/u);
+  return firstLetter && RTL_SCRIPT_PATTERN.test(firstLetter[0]) ? 'rtl' : 'ltr';
+}
 
-  return lines.join('\n');
+/**
+ * A line of plain text that reads in the caption's direction (in editors and players that
+ * take a line's direction from its first letter, as most do)
+ */
+function formatDirectionalLine(line, direction) {
+  return direction === 'rtl' ? RIGHT_TO_LEFT_MARK + line : line;
 }
 
 /**
@@ -257,11 +485,21 @@ class YouTubeCaptionPublisher {
       return;
     }
 
-    const formattedCaption = formatYouTubeCaption(caption);
-    if (!formattedCaption || !formattedCaption.trim()) {
+    const formattedCaptions = formatYouTubeCaptions(caption);
+    if (formattedCaptions.length === 0) {
       console.log('⚠️ Skipping empty caption');
       return;
     }
+    // Long captions go out as several, in order
+    for (const formattedCaption of formattedCaptions) {
+      await this.publishFormatted(formattedCaption);
+    }
+  }
+
+  /**
+   * Send one caption, already broken into lines by formatYouTubeCaptions()
+   */
+  async publishFormatted(formattedCaption) {
 
     // Always log when attempting to send to YouTube
     console.log(`📤 Sending caption to YouTube (seq: ${this.sequenceNumber + 1}):`, formattedCaption.replace(/\n/g, ' | ').substring(0, 80) + (formattedCaption.length > 80 ? '...' : ''));
@@ -291,9 +529,9 @@ class YouTubeCaptionPublisher {
       const lines = formattedCaption.split('\n').filter(line => line.trim().length > 0);
       
       // Validate: YouTube requires max 2 lines
-      if (lines.length > 2) {
-        console.warn(`⚠️ Caption has ${lines.length} lines, truncating to 2`);
-        lines.splice(2);
+      if (lines.length > YOUTUBE_MAX_LINES) {
+        console.warn(`⚠️ Caption has ${lines.length} lines, truncating to ${YOUTUBE_MAX_LINES}`);
+        lines.splice(YOUTUBE_MAX_LINES);
       }
       
       // Clean and validate each line
@@ -305,9 +543,10 @@ class YouTubeCaptionPublisher {
           .trim();
         
         // Validate line length (YouTube limit: 32 chars per line)
-        if (line.length > 32) {
-          console.warn(`⚠️ Line ${i + 1} exceeds 32 chars (${line.length}), truncating: "${line.substring(0, 35)}..."`);
-          line = line.substring(0, 32);
+        const lineLength = countCharacters(line);
+        if (lineLength > YOUTUBE_MAX_LINE_LENGTH) {
+          console.warn(`⚠️ Line ${i + 1} exceeds ${YOUTUBE_MAX_LINE_LENGTH} chars (${lineLength}), truncating: "${line.substring(0, 35)}..."`);
+          line = Array.from(graphemeSegmenter.segment(line), g => g.segment).slice(0, YOUTUBE_MAX_LINE_LENGTH).join('');
         }
         
         if (line.length > 0) {
@@ -326,10 +565,11 @@ class YouTubeCaptionPublisher {
       finalCaption = cleanedLines.join(' ');
       isMultiLine = false; // Always treat as single-line for YouTube compatibility
       
-      // If the single-line would be too long, truncate to 64 chars (YouTube's practical limit)
-      if (finalCaption.length > 64) {
-        console.warn(`⚠️ Caption exceeds 64 chars (${finalCaption.length}), truncating`);
-        finalCaption = finalCaption.substring(0, 61) + '...';
+      // If the single-line would be too long (two full lines and a space), truncate it
+      const captionLength = countCharacters(finalCaption);
+      if (captionLength > YOUTUBE_MAX_LINES * YOUTUBE_MAX_LINE_LENGTH + 1) {
+        console.warn(`⚠️ Caption exceeds ${YOUTUBE_MAX_LINES * YOUTUBE_MAX_LINE_LENGTH + 1} chars (${captionLength}), truncating`);
+        finalCaption = Array.from(graphemeSegmenter.segment(finalCaption), g => g.segment).slice(0, YOUTUBE_MAX_LINES * YOUTUBE_MAX_LINE_LENGTH - 2).join('') + '...';
       }
       
       // YouTube expects: timestamp\ncaption\n (with trailing newline)
@@ -521,771 +761,1041 @@ if (process.env.YOUTUBE_CAPTION_URL || process.env.YOUTUBE_CAPTIONS_URL) {
   console.log('📺 Available env vars with YOUTUBE:', Object.keys(process.env).filter(k => k.includes('YOUTUBE') || k.includes('youtube')));
 }
 
-// YouTube publisher - can be updated dynamically from client settings
-let youtubePublisher = new YouTubeCaptionPublisher(YOUTUBE_CAPTIONS_URL, YOUTUBE_CAPTIONS_LANGUAGE);
-if (youtubePublisher.enabled) {
-  console.log('📺 YouTube captions enabled:', YOUTUBE_CAPTIONS_URL.substring(0, 50) + '...');
+// YouTube publisher lives on each session (room) and can be updated from client settings
+// The env URL only applies to the main room
+if (YOUTUBE_CAPTIONS_URL) {
+  console.log('📺 YouTube captions enabled for main room:', YOUTUBE_CAPTIONS_URL.substring(0, 50) + '...');
 } else {
   console.log('📺 YouTube captions disabled (YOUTUBE_CAPTION_URL or YOUTUBE_CAPTIONS_URL not set)');
   console.log('📺 Tip: You can set YouTube URL in the settings panel');
 }
 
+// ===== SPEECH PROVIDERS =====
+
 /**
- * Broadcast text to all caption clients (optimized)
+ * Speech Provider Interface
+ * Every recognition backend implements the same small surface so the rest of
+ * the server never has to know which vendor protocol is on the other end:
+ * - connect()          open the connection and send the recognition config
+ * - sendAudio(buffer)  forward 16kHz mono s16le PCM, returns false if not open
+ * - onTokens(handler)  receive normalized tokens (see below)
+ * - finish()           end of audio - flush the last results, then the provider closes
+ * - keepAlive()        keep the session open while no audio is sent (silence skipped by VAD)
+ * - close()            gracefully end the stream
+ * - status             'disconnected', 'connecting', 'connected', 'error'
+ *
+ * Normalized token shape:
+ *   { text, isFinal, translationStatus: 'original' | 'translation', language, sourceLanguage, startMs, endMs, speaker }
+ * (sourceLanguage is the spoken language a translation token was translated from,
+ *  speaker is the diarization label such as "1" - null when diarization is off)
+ *
+ * Lifecycle events: 'status' (status), 'error' (error), 'close' (code, reason)
  */
-function broadcastToCaptions(text) {
-  if (!text) return;
-  const deadClients = [];
-  captionClients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        client.send(text);
-      } catch (error) {
-        deadClients.push(client);
-      }
-    } else {
-      deadClients.push(client);
+class SpeechProvider extends EventEmitter {
+  constructor(name, config) {
+    super();
+    this.name = name;
+    this.config = config;
+    this.status = 'disconnected';
+    this.messageCount = 0;
+    this.connectedAt = 0;
+  }
+
+  /** Human-readable provider name for logs and status messages */
+  static get label() {
+    return 'Speech provider';
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  /** Whether this backend can translate (otherwise captions show the original text) */
+  static get supportsTranslation() {
+    return false;
+  }
+
+  get supportsTranslation() {
+    return this.constructor.supportsTranslation;
+  }
+
+  /** Whether this backend can tell speakers apart (speaker diarization) */
+  static get supportsDiarization() {
+    return false;
+  }
+
+  get supportsDiarization() {
+    return this.constructor.supportsDiarization;
+  }
+
+  /** Whether this backend accepts context (custom vocabulary terms and free text) */
+  static get supportsContext() {
+    return false;
+  }
+
+  get supportsContext() {
+    return this.constructor.supportsContext;
+  }
+
+  /** Whether the underlying connection can currently accept audio */
+  get isOpen() {
+    return false;
+  }
+
+  connect() {
+    throw new Error(`${this.name} provider does not implement connect()`);
+  }
+
+  sendAudio(audioData) {
+    throw new Error(`${this.name} provider does not implement sendAudio()`);
+  }
+
+  close() {
+    throw new Error(`${this.name} provider does not implement close()`);
+  }
+
+  finish() {
+    this.close(); // Providers without an end-of-audio message just close
+  }
+
+  keepAlive() {
+    // Providers that don't time out idle sessions need nothing
+  }
+
+  onTokens(handler) {
+    this.on('tokens', handler);
+    return this;
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.emit('status', status);
+  }
+
+  /**
+   * Count incoming messages and log occasional progress (shared by all providers)
+   */
+  trackMessage() {
+    this.messageCount++;
+    if (this.messageCount === 1) {
+      console.log(`📥 First message from ${this.label} received`);
+    } else if (this.messageCount % 1000 === 0) {
+      const uptime = this.connectedAt ? ((Date.now() - this.connectedAt) / 1000 / 60).toFixed(1) : 0;
+      console.log(`📊 Processed ${this.messageCount} messages (${uptime} min uptime)`);
     }
-  });
-  // Clean up dead clients
-  deadClients.forEach(client => captionClients.delete(client));
+  }
 }
 
 /**
- * Serve the client.html file as default homepage
+ * Soniox Provider
+ * Cloud STT + translation over the Soniox real-time WebSocket API
  */
-app.get('/', (req, res) => {
-  res.sendFile(__dirname + '/client.html');
-});
+class SonioxProvider extends SpeechProvider {
+  constructor(config) {
+    super('soniox', config);
+    this.ws = null;
+    this.isConfigured = false; // Set true when we receive first tokens
+  }
 
-/**
- * Serve the captions.html file
- */
-app.get('/captions', (req, res) => {
-  res.sendFile(__dirname + '/captions.html');
-});
+  static get label() {
+    return 'Soniox';
+  }
 
-/**
- * View logs endpoint - displays server logs in browser
- */
-app.get('/logs', (req, res) => {
-  const limit = parseInt(req.query.limit) || 500; // Default to last 500 lines
-  const level = req.query.level; // Optional filter by level (INFO, ERROR, WARN, DEBUG)
+  static get supportsTranslation() {
+    return true;
+  }
 
-  fs.readFile(LOG_FILE, 'utf8', (err, data) => {
-    if (err) {
-      return res.status(500).send(`
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <title>Server Logs - Error</title>
-            <style>
-              body { font-family: monospace; background: #1e1e1e; color: #d4d4d4; padding: 20px; }
-              .error { color: #f48771; }
-            </style>
-          </head>
-          <body>
-            <h1>Error Reading Logs</h1>
-            <p class="error">${err.message}</p>
-            <p>Log file may not exist yet. Start the server to generate logs.</p>
-          </body>
-        </html>
-      `);
-    }
+  static get supportsDiarization() {
+    return true;
+  }
 
-    let lines = data.split('\n').filter(line => line.trim());
+  static get supportsContext() {
+    return true;
+  }
 
-    // Filter by log level if specified
-    if (level) {
-      lines = lines.filter(line => line.includes(`[${level.toUpperCase()}]`));
-    }
+  get isOpen() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
 
-    // Get last N lines
-    const displayLines = lines.slice(-limit);
+  connect() {
+    const config = this.config;
+    this.setStatus('connecting');
+    this.ws = new WebSocket(SONIOX_WS_URL);
 
-    // Color code the logs
-    const coloredLogs = displayLines.map(line => {
-      if (line.includes('[ERROR]')) {
-        return `<div class="log-line error">${escapeHtml(line)}</div>`;
-      } else if (line.includes('[WARN]')) {
-        return `<div class="log-line warn">${escapeHtml(line)}</div>`;
-      } else if (line.includes('[DEBUG]')) {
-        return `<div class="log-line debug">${escapeHtml(line)}</div>`;
+    this.ws.on('open', () => {
+      console.log('✅ Connected to Soniox WebSocket');
+      this.connectedAt = Date.now();
+
+      // Build Soniox configuration
+      const sonioxConfig = {
+        api_key: config.apiKey,
+        model: 'stt-rt-v3',
+        endpoint_detection: true,
+        audio_format: 's16le',
+        sample_rate: 16000,
+        num_channels: 1
+      };
+
+      // Handle source language (auto-detect or specific language)
+      if (config.sourceLanguage === 'auto') {
+        // Auto-detect mode - don't specify language_hints
+        console.log('🌐 Auto-detect mode: Soniox will detect language automatically');
       } else {
-        return `<div class="log-line info">${escapeHtml(line)}</div>`;
+        // Specific language
+        sonioxConfig.language_hints = [config.sourceLanguage];
       }
-    }).join('');
 
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Server Logs</title>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1">
-          <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body {
-              font-family: 'Courier New', monospace;
-              background: #1e1e1e;
-              color: #d4d4d4;
-              padding: 20px;
-              font-size: 13px;
-              line-height: 1.4;
-            }
-            .header {
-              position: sticky;
-              top: 0;
-              background: #2d2d30;
-              padding: 15px;
-              margin: -20px -20px 20px -20px;
-              border-bottom: 2px solid #3e3e42;
-              z-index: 100;
-            }
-            h1 {
-              color: #4ec9b0;
-              margin-bottom: 10px;
-              font-size: 20px;
-            }
-            .controls {
-              display: flex;
-              gap: 10px;
-              flex-wrap: wrap;
-              align-items: center;
-            }
-            .controls label {
-              color: #9cdcfe;
-              font-size: 12px;
-            }
-            .controls select, .controls input {
-              background: #3c3c3c;
-              color: #d4d4d4;
-              border: 1px solid #555;
-              padding: 5px 10px;
-              border-radius: 3px;
-              font-family: inherit;
-              font-size: 12px;
-            }
-            .controls button {
-              background: #0e639c;
-              color: white;
-              border: none;
-              padding: 6px 12px;
-              border-radius: 3px;
-              cursor: pointer;
-              font-family: inherit;
-              font-size: 12px;
-            }
-            .controls button:hover {
-              background: #1177bb;
-            }
-            .stats {
-              color: #858585;
-              margin-top: 10px;
-              font-size: 11px;
-            }
-            .logs-container {
-              background: #252526;
-              border: 1px solid #3e3e42;
-              border-radius: 4px;
-              padding: 15px;
-              overflow-x: auto;
-            }
-            .log-line {
-              padding: 2px 0;
-              white-space: pre-wrap;
-              word-break: break-all;
-            }
-            .log-line.error { color: #f48771; }
-            .log-line.warn { color: #dcdcaa; }
-            .log-line.info { color: #d4d4d4; }
-            .log-line.debug { color: #858585; }
-            .no-logs {
-              color: #858585;
-              text-align: center;
-              padding: 40px;
-              font-style: italic;
-            }
-            @media (max-width: 768px) {
-              body { padding: 10px; font-size: 11px; }
-              .header { margin: -10px -10px 10px -10px; }
-            }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>📊 Server Logs</h1>
-            <div class="controls">
-              <label>
-                Filter:
-                <select id="levelFilter" onchange="updateFilter()">
-                  <option value="">All Levels</option>
-                  <option value="INFO" ${level === 'INFO' ? 'selected' : ''}>INFO</option>
-                  <option value="ERROR" ${level === 'ERROR' ? 'selected' : ''}>ERROR</option>
-                  <option value="WARN" ${level === 'WARN' ? 'selected' : ''}>WARN</option>
-                  <option value="DEBUG" ${level === 'DEBUG' ? 'selected' : ''}>DEBUG</option>
-                </select>
-              </label>
-              <label>
-                Lines:
-                <input type="number" id="limitInput" value="${limit}" min="10" max="10000" step="50" onchange="updateFilter()">
-              </label>
-              <button onclick="location.reload()">🔄 Refresh</button>
-              <button onclick="scrollToBottom()">⬇️ Bottom</button>
-              <button onclick="clearLogs()">🗑️ Clear File</button>
-              <span id="liveIndicator" style="color: #4ec9b0; font-size: 11px; margin-left: 10px;">🟢 Live</span>
-            </div>
-            <div class="stats">
-              Showing ${displayLines.length.toLocaleString()} of ${lines.length.toLocaleString()} lines
-              ${level ? `(filtered by ${level})` : ''}
-            </div>
-          </div>
-          <div class="logs-container" id="logsContainer">
-            ${displayLines.length > 0 ? coloredLogs : '<div class="no-logs">No logs yet. Logs will appear here as the server runs.</div>'}
-          </div>
-          <script>
-            function updateFilter() {
-              const level = document.getElementById('levelFilter').value;
-              const limit = document.getElementById('limitInput').value;
-              const url = new URL(window.location.href);
-              if (level) url.searchParams.set('level', level);
-              else url.searchParams.delete('level');
-              url.searchParams.set('limit', limit);
-              window.location.href = url.toString();
-            }
+      // Add translation if source and target are different
+      if (config.translationMode === 'two_way') {
+        // Interpretation: either language may be spoken, each is translated into the other
+        sonioxConfig.language_hints = [config.sourceLanguage, config.targetLanguage];
+        sonioxConfig.translation = {
+          type: 'two_way',
+          language_a: config.sourceLanguage,
+          language_b: config.targetLanguage
+        };
+        console.log(`🔁 Two-way translation enabled: ${config.sourceLanguage} ⇄ ${config.targetLanguage}`);
+      } else if (config.sourceLanguage !== config.targetLanguage && config.targetLanguage !== 'none') {
+        sonioxConfig.translation = {
+          type: 'one_way',
+          target_language: config.targetLanguage
+        };
+        console.log(`🌍 Translation enabled: ${config.sourceLanguage} → ${config.targetLanguage}`);
+      } else {
+        console.log('📝 Translation disabled (same language or target is "none")');
+      }
 
-            function scrollToBottom() {
-              window.scrollTo(0, document.body.scrollHeight);
-            }
+      // Speaker diarization - tokens are labeled with a speaker number
+      if (config.speakerDiarization) {
+        sonioxConfig.enable_speaker_diarization = true;
+        console.log('🗣️ Speaker diarization enabled');
+      }
 
-            function clearLogs() {
-              if (confirm('Are you sure you want to clear all logs? This cannot be undone.')) {
-                fetch('/logs/clear', { method: 'POST' })
-                  .then(res => res.json())
-                  .then(data => {
-                    alert(data.message);
-                    location.reload();
-                  })
-                  .catch(err => alert('Error clearing logs: ' + err.message));
-              }
-            }
+      // Context profile - names, places and terms that recognition should expect
+      if (config.context) {
+        sonioxConfig.context = {};
+        if (config.context.terms.length > 0) {
+          sonioxConfig.context.terms = config.context.terms;
+        }
+        if (config.context.text) {
+          sonioxConfig.context.text = config.context.text;
+        }
+        console.log(`📚 Context profile: ${config.context.name} (${config.context.terms.length} terms, ${config.context.text.length} chars of text)`);
+      }
 
-            // Auto-scroll to bottom on load
-            setTimeout(scrollToBottom, 100);
+      try {
+        this.ws.send(JSON.stringify(sonioxConfig));
+        this.isConfigured = false;
+        console.log('📤 Configuration sent to Soniox');
+        console.log('📋 Config:', JSON.stringify({ ...sonioxConfig, context: sonioxConfig.context ? '(context profile)' : undefined }, null, 2));
 
-            // Real-time log streaming via SSE
-            const eventSource = new EventSource('/logs/stream');
-            const container = document.getElementById('logsContainer');
-            const liveIndicator = document.getElementById('liveIndicator');
+        // Mark as connected immediately - Soniox buffers audio while processing config
+        // This ensures audio isn't dropped and UI shows correct status
+        this.setStatus('connected');
+      } catch (error) {
+        console.error('❌ Error sending configuration to Soniox:', error);
+        this.setStatus('error');
+        this.emit('error', new Error('Failed to send configuration'));
+        // Drop the socket so the close handler schedules a reconnect
+        this.ws.terminate();
+      }
+    });
 
-            eventSource.onmessage = function(event) {
-              const log = JSON.parse(event.data);
+    this.ws.on('message', (data) => {
+      // Ignore messages after connection closed (might be closed during shutdown)
+      if (!this.isOpen) return;
 
-              // Create log line
-              const logDiv = document.createElement('div');
-              logDiv.className = 'log-line';
+      // Soniox sends JSON messages
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        console.error('❌ Error processing Soniox message:', error.message);
+        return;
+      }
+      this.trackMessage();
 
-              if (log.level === 'ERROR') {
-                logDiv.classList.add('error');
-              } else if (log.level === 'WARN') {
-                logDiv.classList.add('warn');
-              } else if (log.level === 'DEBUG') {
-                logDiv.classList.add('debug');
-              } else {
-                logDiv.classList.add('info');
-              }
+      // Check for errors
+      if (message.error_code || message.error_message) {
+        console.error('❌ Soniox error:', message.error_message || message.error_code);
+        return;
+      }
 
-              const logText = \`[\${log.timestamp}] [\${log.level}] \${log.message}\`;
-              logDiv.textContent = logText;
+      // Check if configuration was successful (first non-error message)
+      if (!this.isConfigured && message.tokens !== undefined) {
+        this.isConfigured = true;
+        console.log('✅ Soniox configuration confirmed - receiving transcriptions');
+      }
 
-              // Check if we should filter this log
-              const levelFilter = new URLSearchParams(window.location.search).get('level');
-              if (!levelFilter || log.level === levelFilter) {
-                container.appendChild(logDiv);
+      if (!Array.isArray(message.tokens) || message.tokens.length === 0) return;
+
+      // Log first tokens to verify we're receiving them (with details for debugging)
+      if (this.messageCount < 10) {
+        const sampleToken = message.tokens[0];
+        console.log(`🔍 Received ${message.tokens.length} tokens from Soniox`);
+        console.log(`   Token analysis:`, {
+          totalTokens: message.tokens.length,
+          hasText: !!sampleToken.text,
+          hasOriginalTokens: message.tokens.some(t => !t.translation_status || t.translation_status === 'original'),
+          hasTranslatedTokens: message.tokens.some(t => t.translation_status === 'translation' || t.translation_status === 'translated'),
+          sampleTranslationStatus: sampleToken.translation_status,
+          sampleIsFinal: sampleToken.is_final
+        });
+      } else if (Math.random() < 0.01) {
+        console.log(`🔍 Received ${message.tokens.length} tokens from Soniox`);
+      }
 
-                // Auto-scroll if near bottom
-                const scrolledToBottom = (window.innerHeight + window.scrollY) >= document.body.offsetHeight - 100;
-                if (scrolledToBottom) {
-                  scrollToBottom();
-                }
-              }
-            };
+      // Soniox marks tokens with translation_status: 'original' or 'translation'
+      // When source = target (no translation), tokens may not have translation_status
+      this.emit('tokens', message.tokens.map(t => ({
+        text: t.text || '',
+        isFinal: t.is_final === true,
+        translationStatus: (t.translation_status === 'translation' || t.translation_status === 'translated')
+          ? 'translation'
+          : 'original',
+        language: t.language || null,
+        sourceLanguage: t.source_language || null,
+        startMs: typeof t.start_ms === 'number' ? t.start_ms : null,
+        endMs: typeof t.end_ms === 'number' ? t.end_ms : null,
+        speaker: t.speaker !== undefined && t.speaker !== null ? String(t.speaker) : null
+      })));
+    });
 
-            eventSource.onerror = function(err) {
-              console.error('SSE Error:', err);
-              liveIndicator.textContent = '🔴 Disconnected';
-              liveIndicator.style.color = '#c5534b';
-              // Reconnection is automatic
-            };
+    this.ws.on('error', (error) => {
+      this.setStatus('error');
+      this.emit('error', error);
+    });
 
-            eventSource.onopen = function() {
-              liveIndicator.textContent = '🟢 Live';
-              liveIndicator.style.color = '#4ec9b0';
-            };
-          </script>
-        </body>
-      </html>
-    `;
+    this.ws.on('close', (code, reason) => {
+      this.isConfigured = false;
+      this.setStatus('disconnected');
+      this.emit('close', code, reason?.toString() || '');
+    });
+  }
 
-    res.send(html);
-  });
-});
+  sendAudio(audioData) {
+    if (!this.isOpen) return false;
+    this.ws.send(audioData, { binary: true });
+    return true;
+  }
 
-/**
- * Clear logs endpoint
- */
-app.post('/logs/clear', (req, res) => {
-  fs.writeFile(LOG_FILE, '', (err) => {
-    if (err) {
-      logger.error('Failed to clear logs:', err.message);
-      return res.status(500).json({ error: 'Failed to clear logs', message: err.message });
+  close(code = 1000, reason = 'Manual disconnect') {
+    if (!this.ws) return;
+    if (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING) {
+      this.ws.close(code, reason);
     }
-    logger.info('Logs cleared by user');
-    res.json({ message: 'Logs cleared successfully' });
-  });
-});
+  }
+
+  finish() {
+    // An empty frame ends the audio - Soniox returns the remaining final tokens, then closes
+    if (this.isOpen) {
+      this.ws.send('');
+    }
+  }
+
+  keepAlive() {
+    // Soniox ends sessions that receive no audio for a while unless kept alive
+    if (this.isOpen) {
+      this.ws.send(JSON.stringify({ type: 'keepalive' }));
+    }
+  }
+}
 
 /**
- * Transcript/Caption History endpoint - view and export all captions
+ * Vosk Provider
+ * Local recognition via the Vosk/kaldi WebSocket server protocol
+ * (alphacep/kaldi-*, vosk-server asr_server.py). Recognition only - no translation.
+ *
+ * Protocol:
+ * - Client sends {"config": {"sample_rate": 16000, "words": 1}} then binary PCM
+ * - Server replies {"partial": "..."} while speaking, and
+ *   {"text": "...", "result": [{ word, start, end, conf }]} when an utterance ends
+ * - Client sends {"eof": 1} to flush and close
  */
-app.get('/transcript', (req, res) => {
-  const format = req.query.format || 'html'; // html, txt, csv, json, srt
-  // Default limit: 0 means show ALL captions (no limit)
-  // Set ?limit=N to show only last N captions
-  const limit = req.query.limit ? parseInt(req.query.limit) : 0;
+class VoskProvider extends SpeechProvider {
+  constructor(config) {
+    super('vosk', config);
+    this.ws = null;
+  }
 
-  // Read from file for complete history
-  fs.readFile(CAPTIONS_LOG_FILE, 'utf8', (err, data) => {
-    if (err && err.code !== 'ENOENT') {
-      return res.status(500).json({ error: 'Failed to read captions', message: err.message });
-    }
+  static get label() {
+    return 'Vosk';
+  }
 
-    let captions = [];
+  get isOpen() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
 
-    // Parse file data
-    if (data) {
-      const lines = data.split('\n').filter(line => line.trim());
-      captions = lines.map(line => {
-        const parts = line.split('\t');
-        return {
-          timestamp: parts[0],
-          text: parts.slice(1).join('\t') // Handle text with tabs
-        };
-      });
-    }
+  connect() {
+    const url = this.config.voskUrl || DEFAULT_VOSK_SERVER_URL;
+    this.setStatus('connecting');
+    this.ws = new WebSocket(url);
 
-    // Get captions to display (all if limit is 0, otherwise last N)
-    const displayCaptions = limit > 0 ? captions.slice(-limit) : captions;
-    
-    // Get time offset from query parameter (if provided from frontend)
-    const timeOffset = parseInt(req.query.offset) || 0;
+    this.ws.on('open', () => {
+      console.log(`✅ Connected to Vosk server at ${url}`);
+      this.connectedAt = Date.now();
+      try {
+        this.ws.send(JSON.stringify({ config: { sample_rate: 16000, words: 1 } }));
+        console.log('📤 Configuration sent to Vosk');
+        this.setStatus('connected');
+      } catch (error) {
+        console.error('❌ Error sending configuration to Vosk:', error);
+        this.setStatus('error');
+        this.emit('error', new Error('Failed to send configuration'));
+        this.ws.terminate();
+      }
+    });
 
-    // Export formats
-    if (format === 'json') {
-      // Apply time offset to timestamps if provided
-      const exportCaptions = timeOffset !== 0 
-        ? displayCaptions.map(c => ({
-            timestamp: new Date(new Date(c.timestamp).getTime() + timeOffset).toISOString(),
-            originalTimestamp: c.timestamp,
-            text: c.text
-          }))
-        : displayCaptions;
-      return res.json({ 
-        captions: exportCaptions, 
-        total: captions.length,
-        timeOffset: timeOffset !== 0 ? timeOffset : undefined
-      });
-    }
+    this.ws.on('message', (data) => {
+      if (!this.isOpen) return;
 
-    if (format === 'csv') {
-      const includeTimestamp = req.query.timestamp !== 'false';
-      let csv;
-      if (includeTimestamp) {
-        csv = 'Timestamp,Caption\n' + displayCaptions.map(c => {
-          const timestamp = timeOffset !== 0 
-            ? new Date(new Date(c.timestamp).getTime() + timeOffset).toISOString()
-            : c.timestamp;
-          return `"${timestamp}","${c.text.replace(/"/g, '""')}"`;
-        }).join('\n');
-      } else {
-        csv = 'Caption\n' + displayCaptions.map(c =>
-          `"${c.text.replace(/"/g, '""')}"`
-        ).join('\n');
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        console.error('❌ Error processing Vosk message:', error.message);
+        return;
       }
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="captions-${new Date().toISOString().split('T')[0]}.csv"`);
-      return res.send(csv);
-    }
+      this.trackMessage();
+
+      if (typeof message.partial === 'string') {
+        // Partial result covers the whole utterance so far (like Soniox non-final tokens)
+        if (message.partial) {
+          this.emit('tokens', [{
+            text: message.partial,
+            isFinal: false,
+            translationStatus: 'original',
+            language: this.config.sourceLanguage,
+            sourceLanguage: null,
+            startMs: null,
+            endMs: null,
+            speaker: null
+          }]);
+        }
+      } else if (Array.isArray(message.result) && message.result.length > 0) {
+        // Final result with word timings (seconds) - Vosk words carry no spacing
+        this.emit('tokens', message.result.map((word, index) => ({
+          text: (index === 0 ? '' : ' ') + word.word,
+          isFinal: true,
+          translationStatus: 'original',
+          language: this.config.sourceLanguage,
+          sourceLanguage: null,
+          startMs: Math.round(word.start * 1000),
+          endMs: Math.round(word.end * 1000),
+          speaker: null
+        })));
+      } else if (message.text) {
+        // Final result without word timings
+        this.emit('tokens', [{
+          text: message.text,
+          isFinal: true,
+          translationStatus: 'original',
+          language: this.config.sourceLanguage,
+          sourceLanguage: null,
+          startMs: null,
+          endMs: null,
+          speaker: null
+        }]);
+      }
+    });
 
-    if (format === 'txt') {
-      const includeTimestamp = req.query.timestamp !== 'false';
-      let txt;
-      if (includeTimestamp) {
-        txt = displayCaptions.map(c => {
-          const date = timeOffset !== 0
-            ? new Date(new Date(c.timestamp).getTime() + timeOffset)
-            : new Date(c.timestamp);
-          return `[${date.toLocaleString()}] ${c.text}`;
-        }).join('\n\n');
-      } else {
-        txt = displayCaptions.map(c => c.text).join('\n\n');
+    this.ws.on('error', (error) => {
+      this.setStatus('error');
+      this.emit('error', error);
+    });
+
+    this.ws.on('close', (code, reason) => {
+      this.setStatus('disconnected');
+      this.emit('close', code, reason?.toString() || '');
+    });
+  }
+
+  sendAudio(audioData) {
+    if (!this.isOpen) return false;
+    this.ws.send(audioData, { binary: true });
+    return true;
+  }
+
+  close(code = 1000, reason = 'Manual disconnect') {
+    if (!this.ws) return;
+    if (this.ws.readyState === WebSocket.OPEN) {
+      try {
+        // Ask Vosk to flush the last utterance before closing
+        this.ws.send(JSON.stringify({ eof: 1 }));
+      } catch (e) {
+        // Ignore - closing anyway
       }
-      res.setHeader('Content-Type', 'text/plain');
-      res.setHeader('Content-Disposition', `attachment; filename="transcript-${new Date().toISOString().split('T')[0]}.txt"`);
-      return res.send(txt);
+      this.ws.close(code, reason);
+    } else if (this.ws.readyState === WebSocket.CONNECTING) {
+      this.ws.close(code, reason);
     }
+  }
 
-    if (format === 'srt') {
-      // SRT (SubRip) subtitle format
-      // Format: sequence number, timestamp range, caption text, blank line
-      
-      if (displayCaptions.length === 0) {
-        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-        res.setHeader('Content-Disposition', `attachment; filename="captions-${new Date().toISOString().split('T')[0]}.srt"`);
-        return res.send('');
-      }
-      
-      // Get time offset from query parameter (if provided from frontend)
-      const timeOffset = parseInt(req.query.offset) || 0;
-      
-      // Helper function to convert milliseconds to SRT time format (HH:MM:SS,mmm)
-      function toSRTTime(totalMs) {
-        // Ensure non-negative
-        totalMs = Math.max(0, totalMs);
-        
-        const hours = Math.floor(totalMs / 3600000);
-        const minutes = Math.floor((totalMs % 3600000) / 60000);
-        const seconds = Math.floor((totalMs % 60000) / 1000);
-        const milliseconds = totalMs % 1000;
-        
-        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')},${String(milliseconds).padStart(3, '0')}`;
-      }
-      
-      // Get first caption's adjusted timestamp
-      const firstCaptionOriginalTime = new Date(displayCaptions[0].timestamp).getTime();
-      const firstCaptionAdjustedTime = firstCaptionOriginalTime + timeOffset;
-      
-      // Parse the start time from the query parameter if provided (format: HH:MM:SS)
-      // This is the relative start time the user set (e.g., "00:05:30")
-      let startTimeMs = 0; // Default to 00:00:00
-      if (req.query.startTime) {
-        const timeParts = req.query.startTime.split(':');
-        const hours = parseInt(timeParts[0]) || 0;
-        const minutes = parseInt(timeParts[1]) || 0;
-        const seconds = parseInt(timeParts[2]) || 0;
-        startTimeMs = (hours * 3600000) + (minutes * 60000) + (seconds * 1000);
+  finish() {
+    // Vosk sends the final result of the last utterance, then closes
+    if (this.isOpen) {
+      this.ws.send(JSON.stringify({ eof: 1 }));
+    }
+  }
+}
+
+// Registry of available speech providers (name → class)
+const SPEECH_PROVIDERS = {
+  soniox: SonioxProvider,
+  vosk: VoskProvider
+};
+
+/**
+ * Create a speech provider instance for the given config
+ */
+function createSpeechProvider(config) {
+  const ProviderClass = SPEECH_PROVIDERS[config.provider];
+  if (!ProviderClass) {
+    throw new Error(`Unknown speech provider: ${config.provider}`);
+  }
+  return new ProviderClass(config);
+}
+
+/**
+ * Describe a provider config for status messages (e.g. "Soniox: ml → en")
+ */
+function describeProviderConfig(config) {
+  const ProviderClass = SPEECH_PROVIDERS[config.provider];
+  const label = ProviderClass ? ProviderClass.label : config.provider;
+  const inputs = config.inputMode === 'separate' ? ' · 🎚️ stream per input' : '';
+  if (config.provider === 'vosk') {
+    return `${label}: ${config.sourceLanguage}${inputs}`;
+  }
+  const profile = config.contextProfile && ProviderClass && ProviderClass.supportsContext
+    ? ` · 📚 ${config.contextProfile}`
+    : '';
+  if (config.translationMode === 'two_way') {
+    return `${label}: ${config.sourceLanguage} ⇄ ${config.targetLanguage}${profile}${inputs}`;
+  }
+  return `${label}: ${config.sourceLanguage} → ${getTargetLanguages(config).join(', ')}${profile}${inputs}`;
+}
+
+// ===== CONTEXT PROFILES =====
+
+// Named recognition context (e.g. "Sunday Service", "Youth Camp"): a list of terms
+// (names of pastors, places, hymns, Bible books) and free text describing the event.
+// Profiles are stored server-side and looked up on every connect and reconnect, so an
+// edited profile applies from the next connection.
+const MAX_CONTEXT_TERMS = 500;
+const MAX_CONTEXT_TEXT_LENGTH = 10000;
+const contextProfiles = loadContextProfiles(); // name → { name, terms, text, updatedAt }
+
+/**
+ * Load context profiles from disk
+ */
+function loadContextProfiles() {
+  const profiles = new Map();
+  try {
+    const stored = JSON.parse(fs.readFileSync(CONTEXT_PROFILES_FILE, 'utf8'));
+    (Array.isArray(stored) ? stored : []).forEach(profile => {
+      const normalized = normalizeContextProfile(profile);
+      if (normalized) {
+        profiles.set(normalized.name, normalized);
       }
-      
-      const defaultDuration = 3000; // 3 seconds in milliseconds
-      const maxDuration = 8000; // Max 8 seconds per caption
-      const minDuration = 1000; // Min 1 second per caption
-      
-      let srtContent = '';
-      let sequenceNumber = 1;
-      
-      for (let i = 0; i < displayCaptions.length; i++) {
-        const caption = displayCaptions[i];
-        // Apply time offset to get adjusted timestamp
-        const captionOriginalTime = new Date(caption.timestamp).getTime();
-        const captionAdjustedTime = captionOriginalTime + timeOffset;
-        
-        // Calculate relative time from first caption (in milliseconds)
-        const relativeStart = captionAdjustedTime - firstCaptionAdjustedTime;
-        
-        // Calculate end time
-        let relativeEnd;
-        if (i < displayCaptions.length - 1) {
-          const nextOriginalTime = new Date(displayCaptions[i + 1].timestamp).getTime();
-          const nextAdjustedTime = nextOriginalTime + timeOffset;
-          const duration = Math.min(nextAdjustedTime - captionAdjustedTime, maxDuration);
-          relativeEnd = relativeStart + Math.max(duration, minDuration);
-        } else {
-          // Last caption: use default duration
-          relativeEnd = relativeStart + defaultDuration;
-        }
-        
-        // Format SRT entry - start from the user's set start time, then add relative offset
-        const startSRT = toSRTTime(startTimeMs + relativeStart);
-        const endSRT = toSRTTime(startTimeMs + relativeEnd);
-        
-        // Clean caption text (remove control characters, preserve line breaks if needed)
-        const cleanText = caption.text
-          .replace(/\r\n/g, '\n')
-          .replace(/\r/g, '\n')
-          .replace(/\n{3,}/g, '\n\n'); // Max 2 consecutive newlines
-        
-        srtContent += `${sequenceNumber}\n`;
-        srtContent += `${startSRT} --> ${endSRT}\n`;
-        srtContent += `${cleanText}\n`;
-        srtContent += `\n`; // Blank line between entries
-        
-        sequenceNumber++;
+    });
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn('⚠️ Could not read context profiles:', err.message);
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Save context profiles to disk
+ */
+function saveContextProfiles(callback) {
+  const data = JSON.stringify(Array.from(contextProfiles.values()), null, 2) + '\n';
+  fs.writeFile(CONTEXT_PROFILES_FILE, data, 'utf8', callback);
+}
+
+/**
+ * Validate and clean up a context profile from a request or the profiles file
+ * Terms may be an array or one term per line; returns null if the profile has no name
+ */
+function normalizeContextProfile(profile) {
+  if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) return null;
+  const rawTerms = Array.isArray(profile.terms)
+    ? profile.terms
+    : String(profile.terms || '').split('\n');
+  const terms = Array.from(new Set(rawTerms.map(term => String(term).trim()).filter(Boolean)))
+    .slice(0, MAX_CONTEXT_TERMS);
+  return {
+    name: profile.name.trim().substring(0, 60),
+    terms,
+    text: String(profile.text || '').trim().substring(0, MAX_CONTEXT_TEXT_LENGTH),
+    updatedAt: profile.updatedAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Context sent to the provider for a profile name, or null (no profile / profile deleted)
+ */
+function getProviderContext(profileName) {
+  if (!profileName) return null;
+  const profile = contextProfiles.get(profileName);
+  if (!profile) {
+    console.warn(`⚠️ Context profile "${profileName}" not found - connecting without context`);
+    return null;
+  }
+  return { name: profile.name, terms: profile.terms, text: profile.text };
+}
+
+// ===== CAPTION THEMES =====
+
+// Looks for the caption displays beyond font and color: a box or per-line bars behind the
+// text, outlines, rounded corners, safe-area margins and custom CSS. captions.html has the
+// built-in presets; themes saved by operators are stored here and shared by all rooms.
+// Custom CSS is kept as written - captions.html sandboxes it to the caption container.
+const THEME_BACKGROUNDS = ['none', 'box', 'lines'];
+const MAX_THEME_CSS_LENGTH = 20000;
+const themes = loadThemes(); // name → theme
+
+/**
+ * Load saved themes from disk
+ */
+function loadThemes() {
+  const saved = new Map();
+  try {
+    const stored = JSON.parse(fs.readFileSync(THEMES_FILE, 'utf8'));
+    (Array.isArray(stored) ? stored : []).forEach(theme => {
+      const normalized = normalizeTheme(theme);
+      if (normalized) {
+        saved.set(normalized.name, normalized);
       }
-      
-      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="captions-${new Date().toISOString().split('T')[0]}.srt"`);
-      return res.send(srtContent);
+    });
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn('⚠️ Could not read themes:', err.message);
     }
+  }
+  return saved;
+}
 
-    // HTML view (default)
-    const captionHTML = displayCaptions.length > 0
-      ? displayCaptions.map((c, index) => {
-          const time = new Date(c.timestamp).toLocaleTimeString();
-          const date = new Date(c.timestamp).toLocaleDateString();
-          return `
-            <div class="caption-item" data-timestamp="${c.timestamp}" data-index="${index}">
-              <div class="caption-header">
-                <div class="caption-time">
-                  <span class="date">${date}</span>
-                  <span class="time">${time}</span>
-                </div>
-                <button class="edit-btn" onclick="editCaption(this)" title="Edit caption">✏️</button>
-              </div>
-              <div class="caption-text" data-original="${escapeHtml(c.text).replace(/"/g, '&quot;')}">${escapeHtml(c.text)}</div>
-            </div>
-          `;
-        }).join('')
-      : '<div class="no-captions">No captions yet. Captions will appear here as they are spoken.</div>';
+/**
+ * Save themes to disk
+ */
+function saveThemes(callback) {
+  const data = JSON.stringify(Array.from(themes.values()), null, 2) + '\n';
+  fs.writeFile(THEMES_FILE, data, 'utf8', callback);
+}
 
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Caption Transcript</title>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1">
-          <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body {
-              font-family: 'Courier New', monospace;
-              background: #1e1e1e;
-              color: #d4d4d4;
-              padding: 20px;
-              font-size: 13px;
-              line-height: 1.4;
-            }
-            .header {
-              position: sticky;
-              top: 0;
-              background: #2d2d30;
-              padding: 15px;
-              margin: -20px -20px 20px -20px;
-              border-bottom: 2px solid #3e3e42;
-              z-index: 100;
-            }
-            h1 {
-              color: #4ec9b0;
-              margin-bottom: 10px;
-              font-size: 20px;
-            }
-            .controls {
-              display: flex;
-              gap: 10px;
-              flex-wrap: wrap;
-              align-items: center;
-            }
-            .controls button, .controls a {
-              background: #0e639c;
-              color: white;
-              border: none;
-              padding: 6px 12px;
-              border-radius: 3px;
-              cursor: pointer;
-              text-decoration: none;
-              font-family: inherit;
-              font-size: 12px;
-            }
-            .controls button:hover, .controls a:hover {
-              background: #1177bb;
-            }
-            .controls .danger {
-              background: #c5534b;
-            }
-            .controls .danger:hover {
-              background: #d16b64;
-            }
-            .stats {
-              color: #858585;
-              margin-top: 10px;
-              font-size: 11px;
-            }
-            .time-adjustment {
-              margin-top: 10px;
-              padding: 10px;
-              background: #1e1e1e;
-              border: 1px solid #3e3e42;
-              border-radius: 3px;
-              display: flex;
-              align-items: center;
-              gap: 10px;
-              flex-wrap: wrap;
-            }
-            .time-adjustment label {
-              color: #9cdcfe;
-              font-size: 12px;
-              font-weight: 600;
-            }
-            .time-adjustment input {
-              background: #3c3c3c;
-              color: #d4d4d4;
-              border: 1px solid #555;
-              padding: 5px 10px;
-              border-radius: 3px;
-              font-family: inherit;
-              font-size: 12px;
-            }
-            .time-adjustment button {
+/**
+ * Validate and clean up a theme from a request, an imported file or the themes file
+ * Out-of-range values are clamped; returns null if the theme has no name
+ */
+function normalizeTheme(theme) {
+  if (!theme || typeof theme.name !== 'string' || !theme.name.trim()) return null;
+  const color = (value, fallback) => /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback;
+  const number = (value, min, max, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+  };
+  return {
+    name: theme.name.trim().substring(0, 60),
+    background: THEME_BACKGROUNDS.includes(theme.background) ? theme.background : 'none',
+    backgroundColor: color(theme.backgroundColor, '#000000'),
+    backgroundOpacity: number(theme.backgroundOpacity, 0, 1, 0.6),
+    cornerRadius: number(theme.cornerRadius, 0, 40, 0),
+    padding: number(theme.padding, 0, 40, 8),
+    outlineWidth: number(theme.outlineWidth, 0, 6, 0),
+    outlineColor: color(theme.outlineColor, '#000000'),
+    safeArea: number(theme.safeArea, 0, 15, 0),
+    customCss: String(theme.customCss || '').substring(0, MAX_THEME_CSS_LENGTH),
+    updatedAt: theme.updatedAt || new Date().toISOString()
+  };
+}
+
+// ===== CAPTION SESSIONS (ROOMS) =====
+
+// Each room has its own provider connection, audio source(s), caption displays,
+// transcript file and YouTube publisher. Rooms are created on first use.
+const DEFAULT_ROOM = 'main';
+const sessions = new Map(); // room name → session
+
+/**
+ * Normalize a room name from a query parameter or message
+ * Returns null for names that aren't safe to use in file names
+ */
+function normalizeRoomName(room) {
+  if (room === undefined || room === null || room === '') return DEFAULT_ROOM;
+  const name = String(room).trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9_-]{0,39}$/.test(name) ? name : null;
+}
+
+/**
+ * Normalize a display profile name (/captions?profile=stage) - displays without one use 'default'
+ * Each profile of a room has its own display settings (font, position, timing, ...)
+ * Returns null for invalid names
+ */
+const DEFAULT_DISPLAY_PROFILE = 'default';
+function normalizeDisplayProfile(profile) {
+  if (profile === undefined || profile === null || profile === '') return DEFAULT_DISPLAY_PROFILE;
+  const name = String(profile).trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9_-]{0,39}$/.test(name) ? name : null;
+}
+
+/**
+ * Normalize a caption language from a query parameter (?lang=ta, ?lang=zh-hant)
+ * Empty means all languages; returns null for anything that isn't a language code
+ */
+function normalizeLanguageCode(lang) {
+  if (lang === undefined || lang === null || lang === '') return '';
+  const code = String(lang).trim().toLowerCase();
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(code) ? code : null;
+}
+
+/**
+ * Get the transcript file for a room (main room keeps the original captions.log)
+ */
+function getCaptionsLogFile(room) {
+  return room === DEFAULT_ROOM
+    ? CAPTIONS_LOG_FILE
+    : path.join(__dirname, `captions-${room}.log`);
+}
+
+/**
+ * Get the speaker names file for a room
+ * The main room keeps the original speakers.json, other rooms get speakers-<room>.json
+ */
+function getSpeakersFile(room) {
+  return room === DEFAULT_ROOM
+    ? SPEAKERS_FILE
+    : path.join(__dirname, `speakers-${room}.json`);
+}
+
+/**
+ * Load a room's speaker names (speaker label → display name)
+ */
+function loadSpeakerNames(room) {
+  try {
+    const names = JSON.parse(fs.readFileSync(getSpeakersFile(room), 'utf8'));
+    return names && typeof names === 'object' ? names : {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not read speaker names for room ${room}:`, err.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Save a room's speaker names
+ */
+function saveSpeakerNames(session, callback) {
+  fs.writeFile(getSpeakersFile(session.name), JSON.stringify(session.speakerNames, null, 2) + '\n', 'utf8', callback);
+}
+
+/**
+ * Speaker names of a room, whether or not it is active
+ */
+function getRoomSpeakerNames(room) {
+  return sessions.has(room) ? sessions.get(room).speakerNames : loadSpeakerNames(room);
+}
+
+/**
+ * Display name of a speaker label until renamed - diarization labels are numbers
+ * ("1" → "Speaker 1"), audio input labels are names already ("Pulpit")
+ */
+function getSpeakerName(speakerNames, speaker) {
+  if (!speaker) return null;
+  return speakerNames[speaker] || (/^\d+$/.test(speaker) ? `Speaker ${speaker}` : speaker);
+}
+
+/**
+ * Create the state for a new caption session (room)
+ * @param {Object} room - For the input sessions of a room with a provider stream per
+ *   audio input: the room they caption (they share its transcript, displays and YouTube)
+ */
+function createSession(name, room = null) {
+  const captionsLogFile = room ? room.captionsLogFile : getCaptionsLogFile(name);
+  return {
+    name,
+    room, // null for rooms (see AUDIO INPUTS)
+    // Speech provider connection - one stream (SpeechProvider instance) per caption language
+    streams: new Map(), // language → stream (see connectToProvider)
+    primaryLanguage: DEFAULT_PROVIDER_CONFIG.targetLanguage, // Shown on displays without ?lang= and sent to YouTube
+    providerConfig: { ...DEFAULT_PROVIDER_CONFIG },
+    connectionState: 'disconnected', // Combined state of all streams: 'disconnected', 'connecting', 'connected', 'error'
+    detectedLanguage: null, // Last spoken language detected in two-way mode
+    captionSegments: new Map(), // caption language → open caption segment
+    lastSegmentId: 0,
+    manualDisconnect: false, // Track if user manually disconnected
+    hold: null, // Captioning on hold: { since, slate } (see CAPTION HOLD)
+    heartbeatInterval: null,
+    lastAudioSentTime: 0,
+    // Audio timeline - caption startMs/endMs are positions in the audio received since the anchor
+    audioAnchor: null, // Wall-clock time (ISO) of the start of the timeline
+    audioReceivedBytes: 0, // Audio received since the anchor (16 kHz mono s16le)
+    // Recent audio kept for replay after a provider reconnect (bounded ring buffer)
+    audioBuffer: [], // { positionMs, data } chunks, oldest first
+    audioBufferBytes: 0,
+    audioRecoveredMs: 0, // Audio received while reconnecting that was replayed
+    audioLostMs: 0, // Audio received while reconnecting that had already left the buffer
+    // Voice activity detection - silence is not forwarded to the provider
+    voiceState: 'speech', // 'speech' or 'silence' (audio not forwarded)
+    silenceMs: 0, // Audio below the speech threshold since the last speech
+    silencePreroll: [], // { positionMs, data } - latest skipped audio, sent when speech resumes
+    silenceSkippedMs: 0, // Audio not sent to the provider since it was started
+    lastKeepAliveTime: 0,
+    // Audio archive - WAV file being recorded and the files of the current timeline
+    audioArchive: null, // See openAudioArchiveFile
+    audioArchiveFiles: [], // { file, startMs }, oldest first
+    // Audio sources feeding the room (browser clients and network ingest)
+    audioSources: new Map(), // id → source (see addAudioSource)
+    lastAudioSourceId: 0,
+    // Audio health - alarms raised from the sources' metrics (see AUDIO HEALTH)
+    audioAlarms: new Map(), // alarm id → { id, severity, message, since }
+    lastSourceAudioTime: 0, // Last audio from any source
+    connectedSince: 0, // When the room was last seen connected (0: not connected)
+    // Audio inputs - several sources are mixed, or each gets an input session (see AUDIO INPUTS)
+    mixQueues: new Map(), // source id → { source, data, lastAudioTime } - audio waiting to be mixed
+    inputActivity: [], // { startMs, endMs, label } - loudest input over the timeline (mix mode)
+    inputSessions: new Map(), // source id → input session (separate mode)
+    inputLabel: null, // Input sessions: label of their input, the speaker of their captions
+    inputKey: null, // Input sessions: file name safe form of the label
+    // Connected clients
+    captionClients: new Set(), // Caption display clients (captions.html)
+    displaySettings: new Map(), // display profile → latest settings from client.html (sent to displays as they connect)
+    clientWebSockets: [], // Browser clients (mic input / operator)
+    transcriptSSEClients: new Set(), // Transcript page live updates
+    // Transcript
+    captionsLogFile,
+    captionsStream: room ? null : fs.createWriteStream(captionsLogFile, { flags: 'a' }),
+    captionHistory: [], // In-memory store for current session (for quick access)
+    // Speaker names for diarization labels ("1" → "Pastor John"), kept on disk per room
+    speakerNames: room ? {} : loadSpeakerNames(name),
+    // YouTube captions (env URL only applies to the main room)
+    youtubePublisher: room ? null : new YouTubeCaptionPublisher(name === DEFAULT_ROOM ? YOUTUBE_CAPTIONS_URL : null, YOUTUBE_CAPTIONS_LANGUAGE)
+  };
+}
+
+/**
+ * Get (or create) the session for a room name
+ * Returns null if the room name is invalid
+ */
+function getSession(room) {
+  const name = normalizeRoomName(room);
+  if (!name) return null;
+  if (!sessions.has(name)) {
+    sessions.set(name, createSession(name));
+    console.log(`🏠 Caption room created: ${name}`);
+  }
+  return sessions.get(name);
+}
+
+/**
+ * Read the room name from a request URL (?room=chapel)
+ */
+function getRoomFromUrl(url) {
+  return new URL(url, 'http://localhost').searchParams.get('room');
+}
+
+/**
+ * List rooms that are active or have a transcript on disk
+ */
+function listRooms() {
+  const rooms = new Set([DEFAULT_ROOM, ...sessions.keys()]);
+  try {
+    fs.readdirSync(__dirname).forEach(file => {
+      const match = file.match(/^captions-([a-z0-9][a-z0-9_-]{0,39})\.log$/);
+      if (match) rooms.add(match[1]);
+    });
+  } catch (err) {
+    // Directory not readable - only list active rooms
+  }
+  return Array.from(rooms).sort();
+}
+
+/**
+ * Broadcast a caption message to the caption clients in a room that show its language (optimized)
+ * Displays subscribe with /captions?lang=ta, displays without ?lang= show the primary language
+ * (in two-way mode there is no primary language, so they show every translation)
+ * Displays connected with ?format=text get plain caption text instead of JSON (older displays)
+ */
+function broadcastToCaptions(session, caption) {
+  if (!caption) return;
+  const json = JSON.stringify(caption);
+  const captionClients = session.captionClients;
+  const deadClients = [];
+  captionClients.forEach(client => {
+    const wantedLanguage = client.captionLanguage || session.primaryLanguage;
+    if (wantedLanguage && wantedLanguage !== caption.language) return;
+    if (client.captionFormat === 'text' && !caption.text) return; // Nothing to show yet (original text only)
+    if (client.readyState === WebSocket.OPEN) {
+      try {
+        client.send(client.captionFormat === 'text' ? caption.text : json);
+      } catch (error) {
+        deadClients.push(client);
+      }
+    } else {
+      deadClients.push(client);
+    }
+  });
+  // Clean up dead clients
+  deadClients.forEach(client => captionClients.delete(client));
+}
+
+/**
+ * Serve the client.html file as default homepage
+ */
+app.get('/', (req, res) => {
+  res.sendFile(__dirname + '/client.html');
+});
+
+/**
+ * Serve the captions.html file
+ */
+app.get('/captions', (req, res) => {
+  res.sendFile(__dirname + '/captions.html');
+});
+
+/**
+ * View logs endpoint - displays server logs in browser
+ */
+app.get('/logs', (req, res) => {
+  const limit = parseInt(req.query.limit) || 500; // Default to last 500 lines
+  const level = req.query.level; // Optional filter by level (INFO, ERROR, WARN, DEBUG)
+
+  fs.readFile(LOG_FILE, 'utf8', (err, data) => {
+    if (err) {
+      return res.status(500).send(`
+        <!DOCTYPE html>
+        <html>
+          <head>
+            <title>Server Logs - Error</title>
+            <style>
+              body { font-family: monospace; background: #1e1e1e; color: #d4d4d4; padding: 20px; }
+              .error { color: #f48771; }
+            </style>
+          </head>
+          <body>
+            <h1>Error Reading Logs</h1>
+            <p class="error">${err.message}</p>
+            <p>Log file may not exist yet. Start the server to generate logs.</p>
+          </body>
+        </html>
+      `);
+    }
+
+    let lines = data.split('\n').filter(line => line.trim());
+
+    // Filter by log level if specified
+    if (level) {
+      lines = lines.filter(line => line.includes(`[${level.toUpperCase()}]`));
+    }
+
+    // Get last N lines
+    const displayLines = lines.slice(-limit);
+
+    // Color code the logs
+    const coloredLogs = displayLines.map(line => {
+      if (line.includes('[ERROR]')) {
+        return `<div class="log-line error">${escapeHtml(line)}</div>`;
+      } else if (line.includes('[WARN]')) {
+        return `<div class="log-line warn">${escapeHtml(line)}</div>`;
+      } else if (line.includes('[DEBUG]')) {
+        return `<div class="log-line debug">${escapeHtml(line)}</div>`;
+      } else {
+        return `<div class="log-line info">${escapeHtml(line)}</div>`;
+      }
+    }).join('');
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <title>Server Logs</title>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body {
+              font-family: 'Courier New', monospace;
+              background: #1e1e1e;
+              color: #d4d4d4;
+              padding: 20px;
+              font-size: 13px;
+              line-height: 1.4;
+            }
+            .header {
+              position: sticky;
+              top: 0;
+              background: #2d2d30;
+              padding: 15px;
+              margin: -20px -20px 20px -20px;
+              border-bottom: 2px solid #3e3e42;
+              z-index: 100;
+            }
+            h1 {
+              color: #4ec9b0;
+              margin-bottom: 10px;
+              font-size: 20px;
+            }
+            .controls {
+              display: flex;
+              gap: 10px;
+              flex-wrap: wrap;
+              align-items: center;
+            }
+            .controls label {
+              color: #9cdcfe;
+              font-size: 12px;
+            }
+            .controls select, .controls input {
+              background: #3c3c3c;
+              color: #d4d4d4;
+              border: 1px solid #555;
+              padding: 5px 10px;
+              border-radius: 3px;
+              font-family: inherit;
+              font-size: 12px;
+            }
+            .controls button {
               background: #0e639c;
               color: white;
               border: none;
-              padding: 5px 12px;
+              padding: 6px 12px;
               border-radius: 3px;
               cursor: pointer;
-              font-size: 11px;
-              font-weight: 600;
+              font-family: inherit;
+              font-size: 12px;
             }
-            .time-adjustment button:hover {
+            .controls button:hover {
               background: #1177bb;
             }
-            .time-adjustment button.reset {
-              background: #c5534b;
-            }
-            .time-adjustment button.reset:hover {
-              background: #d16b64;
-            }
-            .time-offset-indicator {
-              color: #dcdcaa;
+            .stats {
+              color: #858585;
+              margin-top: 10px;
               font-size: 11px;
-              font-weight: 600;
-              display: none;
-            }
-            .time-offset-indicator.active {
-              display: inline;
             }
-            .content {
+            .logs-container {
               background: #252526;
               border: 1px solid #3e3e42;
               border-radius: 4px;
               padding: 15px;
+              overflow-x: auto;
             }
-            .caption-item {
-              padding: 12px;
-              border-left: 3px solid #4ec9b0;
-              margin-bottom: 12px;
-              background: #2d2d30;
-              border-radius: 3px;
-              transition: all 0.2s;
-              position: relative;
+            .log-line {
+              padding: 2px 0;
+              white-space: pre-wrap;
+              word-break: break-all;
             }
-            .caption-item:hover {
-              background: #333337;
-              border-left-color: #5fd4c3;
-            }
-            .caption-item.editing {
-              border-left-color: #dcdcaa;
-              background: #3a3a3d;
-            }
-            .caption-item.edited {
-              border-left-color: #dcdcaa;
-            }
-            .caption-header {
-              display: flex;
-              justify-content: space-between;
-              align-items: center;
-              margin-bottom: 6px;
-            }
-            .caption-time {
-              color: #858585;
-              font-size: 11px;
-              font-weight: 500;
-            }
-            .caption-time .date {
-              margin-right: 8px;
-              color: #6a6a6a;
-            }
-            .caption-time .time {
-              color: #9cdcfe;
-              font-weight: 600;
-            }
-            .edit-btn {
-              background: transparent;
-              border: 1px solid transparent;
-              color: #858585;
-              cursor: pointer;
-              padding: 4px 8px;
-              border-radius: 3px;
-              font-size: 12px;
-              opacity: 0;
-              transition: all 0.2s;
-            }
-            .caption-item:hover .edit-btn {
-              opacity: 1;
-            }
-            .edit-btn:hover {
-              background: #3e3e42;
-              border-color: #4ec9b0;
-              color: #4ec9b0;
-            }
-            .caption-text {
-              color: #d4d4d4;
-              font-size: 14px;
-              line-height: 1.6;
-              min-height: 20px;
-            }
-            .caption-text[contenteditable="true"] {
-              background: #1e1e1e;
-              padding: 8px;
-              border: 1px solid #4ec9b0;
-              border-radius: 3px;
-              outline: none;
-            }
-            .caption-text[contenteditable="true"]:focus {
-              border-color: #5fd4c3;
-              box-shadow: 0 0 0 2px rgba(78, 201, 176, 0.2);
-            }
-            .edit-actions {
-              display: flex;
-              gap: 8px;
-              margin-top: 8px;
-              justify-content: flex-end;
-            }
-            .edit-actions button {
-              padding: 6px 12px;
-              border: none;
-              border-radius: 3px;
-              cursor: pointer;
-              font-size: 12px;
-              font-family: inherit;
-              transition: all 0.2s;
-            }
-            .save-btn {
-              background: #4ec9b0;
-              color: #1e1e1e;
-              font-weight: 600;
-            }
-            .save-btn:hover {
-              background: #5fd4c3;
-            }
-            .cancel-btn {
-              background: #3e3e42;
-              color: #d4d4d4;
-            }
-            .cancel-btn:hover {
-              background: #4a4a4f;
-            }
-            .edited-indicator {
-              display: inline-block;
-              margin-left: 8px;
-              color: #dcdcaa;
-              font-size: 10px;
-              font-weight: 600;
-            }
-            .no-captions {
-              color: #858585;
-              text-align: center;
-              padding: 60px 20px;
-              font-style: italic;
-              font-size: 13px;
+            .log-line.error { color: #f48771; }
+            .log-line.warn { color: #dcdcaa; }
+            .log-line.info { color: #d4d4d4; }
+            .log-line.debug { color: #858585; }
+            .no-logs {
+              color: #858585;
+              text-align: center;
+              padding: 40px;
+              font-style: italic;
             }
             @media (max-width: 768px) {
               body { padding: 10px; font-size: 11px; }
@@ -1295,1392 +1805,5080 @@ app.get('/transcript', (req, res) => {
         </head>
         <body>
           <div class="header">
-            <h1>📝 Caption Transcript</h1>
+            <h1>📊 Server Logs</h1>
             <div class="controls">
-              <select id="exportFormat" style="background: #3c3c3c; color: #d4d4d4; border: 1px solid #555; padding: 5px 10px; border-radius: 3px; font-family: inherit; font-size: 12px;">
-                <option value="">📥 Export...</option>
-                <option value="txt-with">TXT (with timestamps)</option>
-                <option value="txt-without">TXT (no timestamps)</option>
-                <option value="csv-with">CSV (with timestamps)</option>
-                <option value="csv-without">CSV (no timestamps)</option>
-                <option value="json">JSON</option>
-                <option value="srt">SRT (SubRip subtitles)</option>
-              </select>
+              <label>
+                Filter:
+                <select id="levelFilter" onchange="updateFilter()">
+                  <option value="">All Levels</option>
+                  <option value="INFO" ${level === 'INFO' ? 'selected' : ''}>INFO</option>
+                  <option value="ERROR" ${level === 'ERROR' ? 'selected' : ''}>ERROR</option>
+                  <option value="WARN" ${level === 'WARN' ? 'selected' : ''}>WARN</option>
+                  <option value="DEBUG" ${level === 'DEBUG' ? 'selected' : ''}>DEBUG</option>
+                </select>
+              </label>
+              <label>
+                Lines:
+                <input type="number" id="limitInput" value="${limit}" min="10" max="10000" step="50" onchange="updateFilter()">
+              </label>
               <button onclick="location.reload()">🔄 Refresh</button>
-              <button onclick="scrollToBottom()">⬇️ Latest</button>
-              <button class="danger" onclick="clearCaptions()">🗑️ Clear All</button>
+              <button onclick="scrollToBottom()">⬇️ Bottom</button>
+              <button onclick="clearLogs()">🗑️ Clear File</button>
+              <span id="liveIndicator" style="color: #4ec9b0; font-size: 11px; margin-left: 10px;">🟢 Live</span>
             </div>
             <div class="stats">
-              Showing ${displayCaptions.length.toLocaleString()} of ${captions.length.toLocaleString()} captions
-              ${limit > 0 ? `(limited to last ${limit})` : '(showing all)'}
-              ${captions.length > 10000 ? '<br><span style="color: #dcdcaa;">⚠️ Large file detected. Consider using ?limit=N to view recent captions only.</span>' : ''}
-              <span class="time-offset-indicator" id="timeOffsetIndicator"></span>
-            </div>
-            <div class="time-adjustment">
-              <label for="startTime">⏰ Adjust Start Time:</label>
-              <input type="time" id="startTime" step="1" title="Set start time in 24-hour format (e.g., 00:00:00 for video start, 01:23:45 for 1h 23m 45s into video)" placeholder="HH:MM:SS">
-              <button onclick="applyTimeOffset()">Apply</button>
-              <button class="reset" onclick="resetTimeOffset()">Reset to Actual</button>
-              <span style="font-size: 11px; color: #858585; margin-left: 10px;">
-                💡 Use 24-hour format (00:00:00 to 23:59:59) - perfect for video timecodes
-              </span>
+              Showing ${displayLines.length.toLocaleString()} of ${lines.length.toLocaleString()} lines
+              ${level ? `(filtered by ${level})` : ''}
             </div>
           </div>
-          <div class="content" id="captionsContainer">
-            ${captionHTML}
+          <div class="logs-container" id="logsContainer">
+            ${displayLines.length > 0 ? coloredLogs : '<div class="no-logs">No logs yet. Logs will appear here as the server runs.</div>'}
           </div>
           <script>
-            // Time adjustment state
-            let timeOffsetMs = parseInt(localStorage.getItem('transcriptTimeOffset')) || 0;
-            let startTimeValue = localStorage.getItem('transcriptStartTime') || ''; // Store the start time string (e.g., "00:05:30")
-            let firstCaptionTimestamp = null;
+            function updateFilter() {
+              const level = document.getElementById('levelFilter').value;
+              const limit = document.getElementById('limitInput').value;
+              const url = new URL(window.location.href);
+              if (level) url.searchParams.set('level', level);
+              else url.searchParams.delete('level');
+              url.searchParams.set('limit', limit);
+              window.location.href = url.toString();
+            }
+
+            function scrollToBottom() {
+              window.scrollTo(0, document.body.scrollHeight);
+            }
+
+            function clearLogs() {
+              if (confirm('Are you sure you want to clear all logs? This cannot be undone.')) {
+                fetch('/logs/clear', { method: 'POST' })
+                  .then(res => res.json())
+                  .then(data => {
+                    alert(data.message);
+                    location.reload();
+                  })
+                  .catch(err => alert('Error clearing logs: ' + err.message));
+              }
+            }
+
+            // Auto-scroll to bottom on load
+            setTimeout(scrollToBottom, 100);
+
+            // Real-time log streaming via SSE
+            const eventSource = new EventSource('/logs/stream');
+            const container = document.getElementById('logsContainer');
+            const liveIndicator = document.getElementById('liveIndicator');
+
+            eventSource.onmessage = function(event) {
+              const log = JSON.parse(event.data);
+
+              // Create log line
+              const logDiv = document.createElement('div');
+              logDiv.className = 'log-line';
+
+              if (log.level === 'ERROR') {
+                logDiv.classList.add('error');
+              } else if (log.level === 'WARN') {
+                logDiv.classList.add('warn');
+              } else if (log.level === 'DEBUG') {
+                logDiv.classList.add('debug');
+              } else {
+                logDiv.classList.add('info');
+              }
+
+              const logText = \`[\${log.timestamp}] [\${log.level}] \${log.message}\`;
+              logDiv.textContent = logText;
+
+              // Check if we should filter this log
+              const levelFilter = new URLSearchParams(window.location.search).get('level');
+              if (!levelFilter || log.level === levelFilter) {
+                container.appendChild(logDiv);
+
+                // Auto-scroll if near bottom
+                const scrolledToBottom = (window.innerHeight + window.scrollY) >= document.body.offsetHeight - 100;
+                if (scrolledToBottom) {
+                  scrollToBottom();
+                }
+              }
+            };
+
+            eventSource.onerror = function(err) {
+              console.error('SSE Error:', err);
+              liveIndicator.textContent = '🔴 Disconnected';
+              liveIndicator.style.color = '#c5534b';
+              // Reconnection is automatic
+            };
+
+            eventSource.onopen = function() {
+              liveIndicator.textContent = '🟢 Live';
+              liveIndicator.style.color = '#4ec9b0';
+            };
+          </script>
+        </body>
+      </html>
+    `;
+
+    res.send(html);
+  });
+});
+
+/**
+ * Clear logs endpoint
+ */
+app.post('/logs/clear', (req, res) => {
+  fs.writeFile(LOG_FILE, '', (err) => {
+    if (err) {
+      logger.error('Failed to clear logs:', err.message);
+      return res.status(500).json({ error: 'Failed to clear logs', message: err.message });
+    }
+    logger.info('Logs cleared by user');
+    res.json({ message: 'Logs cleared successfully' });
+  });
+});
+
+/**
+ * Transcript/Caption History endpoint - view and export all captions
+ */
+app.get('/transcript', (req, res) => {
+  const format = req.query.format || 'html'; // html, txt, csv, json, srt
+  const room = normalizeRoomName(req.query.room);
+  if (!room) {
+    return res.status(400).json({ error: 'Invalid room name' });
+  }
+  // Caption language (?lang=ta) - each target language has its own transcript, empty = all languages
+  const lang = normalizeLanguageCode(req.query.lang);
+  if (lang === null) {
+    return res.status(400).json({ error: 'Invalid language code' });
+  }
+  // Default limit: 0 means show ALL captions (no limit)
+  // Set ?limit=N to show only last N captions
+  const limit = req.query.limit ? parseInt(req.query.limit) : 0;
+
+  // Read from file for complete history
+  fs.readFile(getCaptionsLogFile(room), 'utf8', (err, data) => {
+    if (err && err.code !== 'ENOENT') {
+      return res.status(500).json({ error: 'Failed to read captions', message: err.message });
+    }
+
+    let captions = [];
+
+    // Parse file data
+    if (data) {
+      const lines = data.split('\n').filter(line => line.trim());
+      captions = lines.map(parseCaptionLine);
+    }
+
+    // Languages present in this room's transcript (for the language selector)
+    const languages = Array.from(new Set(captions.map(c => c.language).filter(Boolean))).sort();
+    if (lang) {
+      captions = captions.filter(c => c.language === lang || c.event);
+    }
+
+    // Get captions to display (all if limit is 0, otherwise last N)
+    const displayCaptions = limit > 0 ? captions.slice(-limit) : captions;
+    
+    // Get time offset from query parameter (if provided from frontend)
+    const timeOffset = parseInt(req.query.offset) || 0;
+
+    // Exports from other rooms/languages are prefixed with the room and language
+    const exportFilePrefix = (room === DEFAULT_ROOM ? '' : `${room}-`) + (lang ? `${lang}-` : '');
+
+    // Diarization speakers are shown by their current names (renames apply to past captions too)
+    const speakerNames = getRoomSpeakerNames(room);
+    const hasSpeakers = displayCaptions.some(c => c.speaker);
+    const speakerPrefix = (c) => c.speaker ? `${getSpeakerName(speakerNames, c.speaker)}: ` : '';
+    const directionalText = (c) => formatDirectionalLine(c.text, getTextDirection(c.language, c.text));
+
+    // Export formats
+    if (format === 'json') {
+      // Apply time offset to timestamps if provided
+      const exportCaptions = timeOffset !== 0 
+        ? displayCaptions.map(c => ({
+            timestamp: new Date(new Date(c.timestamp).getTime() + timeOffset).toISOString(),
+            originalTimestamp: c.timestamp,
+            text: c.text,
+            language: c.language,
+            detectedLanguage: c.detectedLanguage,
+            startMs: c.startMs,
+            endMs: c.endMs,
+            audioAnchor: c.audioAnchor,
+            audioFile: c.audioFile,
+            speaker: c.speaker,
+            speakerName: getSpeakerName(speakerNames, c.speaker) || undefined,
+            direction: getTextDirection(c.language, c.text),
+            event: c.event
+          }))
+        : displayCaptions.map(c => ({
+            ...c,
+            speakerName: getSpeakerName(speakerNames, c.speaker) || undefined,
+            direction: getTextDirection(c.language, c.text)
+          }));
+      return res.json({ 
+        room,
+        language: lang || undefined,
+        captions: exportCaptions, 
+        total: captions.length,
+        timeOffset: timeOffset !== 0 ? timeOffset : undefined
+      });
+    }
+
+    if (format === 'csv') {
+      const includeTimestamp = req.query.timestamp !== 'false';
+      let csv;
+      if (includeTimestamp) {
+        // Captions with audio timings are stamped with when they were spoken
+        csv = (hasSpeakers ? 'Timestamp,Speaker,Caption\n' : 'Timestamp,Caption\n') + displayCaptions.map(c => {
+          const timestamp = new Date(getCaptionTime(c) + timeOffset).toISOString();
+          const speaker = hasSpeakers ? `"${(getSpeakerName(speakerNames, c.speaker) || '').replace(/"/g, '""')}",` : '';
+          return `"${timestamp}",${speaker}"${directionalText(c).replace(/"/g, '""')}"`;
+        }).join('\n');
+      } else {
+        csv = (hasSpeakers ? 'Speaker,Caption\n' : 'Caption\n') + displayCaptions.map(c => {
+          const speaker = hasSpeakers ? `"${(getSpeakerName(speakerNames, c.speaker) || '').replace(/"/g, '""')}",` : '';
+          return `${speaker}"${directionalText(c).replace(/"/g, '""')}"`;
+        }).join('\n');
+      }
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilePrefix}captions-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(csv);
+    }
+
+    if (format === 'txt') {
+      const includeTimestamp = req.query.timestamp !== 'false';
+      let txt;
+      if (includeTimestamp) {
+        txt = displayCaptions.map(c => {
+          const date = new Date(getCaptionTime(c) + timeOffset);
+          return formatDirectionalLine(`[${date.toLocaleString()}] ${speakerPrefix(c)}${c.text}`, getTextDirection(c.language, c.text));
+        }).join('\n\n');
+      } else {
+        txt = displayCaptions.map(c => formatDirectionalLine(speakerPrefix(c) + c.text, getTextDirection(c.language, c.text))).join('\n\n');
+      }
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilePrefix}transcript-${new Date().toISOString().split('T')[0]}.txt"`);
+      return res.send(txt);
+    }
+
+    if (format === 'srt') {
+      // SRT (SubRip) subtitle format
+      // Format: sequence number, timestamp range, caption text, blank line
+      // Hold markers are not captions, so they get no cue
+      const cueCaptions = displayCaptions.filter(c => !c.event);
+      
+      if (cueCaptions.length === 0) {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFilePrefix}captions-${new Date().toISOString().split('T')[0]}.srt"`);
+        return res.send('');
+      }
+      
+      // Helper function to convert milliseconds to SRT time format (HH:MM:SS,mmm)
+      function toSRTTime(totalMs) {
+        // Ensure non-negative
+        totalMs = Math.max(0, totalMs);
+        
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const seconds = Math.floor((totalMs % 60000) / 1000);
+        const milliseconds = totalMs % 1000;
+        
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')},${String(milliseconds).padStart(3, '0')}`;
+      }
+      
+      // Cue times come from the captions' audio timings: 00:00:00 is the start of the audio
+      // timeline of the first caption, so cues line up with a recording started at the same time.
+      // Captions without audio timings (older logs) fall back to the time they were logged,
+      // with durations estimated from the gap to the next caption.
+      const firstAudioTimes = getCaptionAudioTimes(cueCaptions[0]);
+      const baseTime = firstAudioTimes
+        ? new Date(cueCaptions[0].audioAnchor).getTime()
+        : new Date(cueCaptions[0].timestamp).getTime();
+      
+      // Parse the start time from the query parameter if provided (format: HH:MM:SS)
+      // This is where the start of the captions is in the video (e.g., "00:05:30")
+      let startTimeMs = 0; // Default to 00:00:00
+      if (req.query.startTime) {
+        const timeParts = req.query.startTime.split(':');
+        const hours = parseInt(timeParts[0]) || 0;
+        const minutes = parseInt(timeParts[1]) || 0;
+        const seconds = parseInt(timeParts[2]) || 0;
+        startTimeMs = (hours * 3600000) + (minutes * 60000) + (seconds * 1000);
+      }
+      
+      const defaultDuration = 3000; // 3 seconds in milliseconds
+      const maxDuration = 8000; // Max 8 seconds per caption
+      const minDuration = 1000; // Min 1 second per caption
+      
+      // Cue start/end relative to the base time (the time offset shifts every caption equally)
+      const cues = cueCaptions.map(caption => {
+        const audioTimes = getCaptionAudioTimes(caption);
+        return audioTimes
+          ? { start: audioTimes.start - baseTime, end: audioTimes.end - baseTime, timed: true }
+          : { start: new Date(caption.timestamp).getTime() - baseTime, end: null, timed: false };
+      });
+      
+      let srtContent = '';
+      let sequenceNumber = 1;
+      
+      for (let i = 0; i < cueCaptions.length; i++) {
+        const caption = cueCaptions[i];
+        const relativeStart = cues[i].start;
+        const nextStart = i < cues.length - 1 ? cues[i + 1].start : null;
+        
+        // Calculate end time
+        let relativeEnd;
+        if (cues[i].timed) {
+          // Spoken duration - very short cues are held for the minimum duration, unless the next one starts
+          relativeEnd = cues[i].end;
+          if (relativeEnd - relativeStart < minDuration) {
+            relativeEnd = relativeStart + minDuration;
+            if (nextStart !== null && nextStart > cues[i].end) {
+              relativeEnd = Math.min(relativeEnd, nextStart);
+            }
+          }
+        } else if (nextStart !== null) {
+          const duration = Math.min(nextStart - relativeStart, maxDuration);
+          relativeEnd = relativeStart + Math.max(duration, minDuration);
+        } else {
+          // Last caption: use default duration
+          relativeEnd = relativeStart + defaultDuration;
+        }
+        
+        // Format SRT entry - start from the user's set start time, then add relative offset
+        const startSRT = toSRTTime(startTimeMs + relativeStart);
+        const endSRT = toSRTTime(startTimeMs + relativeEnd);
+        
+        // Clean caption text (remove control characters, preserve line breaks if needed)
+        // The speaker's name leads the cue whenever the speaker changes
+        const newSpeaker = caption.speaker && (i === 0 || cueCaptions[i - 1].speaker !== caption.speaker);
+        const direction = getTextDirection(caption.language, caption.text);
+        const cleanText = ((newSpeaker ? speakerPrefix(caption) : '') + caption.text
+          .replace(/\r\n/g, '\n')
+          .replace(/\r/g, '\n')
+          .replace(/\n{3,}/g, '\n\n')) // Max 2 consecutive newlines
+          .split('\n').map(line => formatDirectionalLine(line, direction)).join('\n');
+        
+        srtContent += `${sequenceNumber}\n`;
+        srtContent += `${startSRT} --> ${endSRT}\n`;
+        srtContent += `${cleanText}\n`;
+        srtContent += `\n`; // Blank line between entries
+        
+        sequenceNumber++;
+      }
+      
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFilePrefix}captions-${new Date().toISOString().split('T')[0]}.srt"`);
+      return res.send(srtContent);
+    }
+
+    // HTML view (default)
+    const captionHTML = displayCaptions.length > 0
+      ? displayCaptions.map((c, index) => {
+          const time = new Date(c.timestamp).toLocaleTimeString();
+          const date = new Date(c.timestamp).toLocaleDateString();
+          if (c.event) {
+            // Hold/resume marker - a divider, not an editable caption
+            return `
+            <div class="caption-event" data-timestamp="${c.timestamp}" data-event="${escapeHtml(c.event)}">
+              <span class="caption-time"><span class="date">${date}</span><span class="time">${time}</span></span>
+              <span class="caption-event-text">${escapeHtml(c.text)}</span>
+            </div>
+          `;
+          }
+          return `
+            <div class="caption-item" data-timestamp="${c.timestamp}" data-language="${escapeHtml(c.language || '')}" data-index="${index}">
+              <div class="caption-header">
+                <div class="caption-time">
+                  <span class="date">${date}</span>
+                  <span class="time">${time}</span>
+                  ${c.speaker ? `<span class="caption-speaker" dir="auto" data-speaker="${escapeHtml(c.speaker)}" onclick="renameSpeaker(this.dataset.speaker)" title="Click to rename this speaker">${escapeHtml(getSpeakerName(speakerNames, c.speaker))}</span>` : ''}
+                  ${c.audioFile && typeof c.startMs === 'number' ? `<button class="audio-btn" data-audio-file="${escapeHtml(c.audioFile)}" data-start-ms="${c.startMs}" onclick="playCaptionAudio(this)" title="Play the archived audio of this caption">🔊</button>` : ''}
+                  ${c.language && (!lang || c.detectedLanguage) ? `<span class="caption-language" title="${c.detectedLanguage ? 'Spoken language → caption language' : 'Caption language'}">${c.detectedLanguage ? escapeHtml(c.detectedLanguage) + ' → ' : ''}${escapeHtml(c.language)}</span>` : ''}
+                </div>
+                <button class="edit-btn" onclick="editCaption(this)" title="Edit caption">✏️</button>
+              </div>
+              <div class="caption-text" dir="${getTextDirection(c.language, c.text)}" data-original="${escapeHtml(c.text).replace(/"/g, '&quot;')}">${escapeHtml(c.text)}</div>
+            </div>
+          `;
+        }).join('')
+      : '<div class="no-captions">No captions yet. Captions will appear here as they are spoken.</div>';
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <title>Caption Transcript</title>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body {
+              font-family: 'Courier New', monospace;
+              background: #1e1e1e;
+              color: #d4d4d4;
+              padding: 20px;
+              font-size: 13px;
+              line-height: 1.4;
+            }
+            .header {
+              position: sticky;
+              top: 0;
+              background: #2d2d30;
+              padding: 15px;
+              margin: -20px -20px 20px -20px;
+              border-bottom: 2px solid #3e3e42;
+              z-index: 100;
+            }
+            h1 {
+              color: #4ec9b0;
+              margin-bottom: 10px;
+              font-size: 20px;
+            }
+            .controls {
+              display: flex;
+              gap: 10px;
+              flex-wrap: wrap;
+              align-items: center;
+            }
+            .controls button, .controls a {
+              background: #0e639c;
+              color: white;
+              border: none;
+              padding: 6px 12px;
+              border-radius: 3px;
+              cursor: pointer;
+              text-decoration: none;
+              font-family: inherit;
+              font-size: 12px;
+            }
+            .controls button:hover, .controls a:hover {
+              background: #1177bb;
+            }
+            .controls .danger {
+              background: #c5534b;
+            }
+            .controls .danger:hover {
+              background: #d16b64;
+            }
+            .stats {
+              color: #858585;
+              margin-top: 10px;
+              font-size: 11px;
+            }
+            .time-adjustment {
+              margin-top: 10px;
+              padding: 10px;
+              background: #1e1e1e;
+              border: 1px solid #3e3e42;
+              border-radius: 3px;
+              display: flex;
+              align-items: center;
+              gap: 10px;
+              flex-wrap: wrap;
+            }
+            .time-adjustment label {
+              color: #9cdcfe;
+              font-size: 12px;
+              font-weight: 600;
+            }
+            .time-adjustment input {
+              background: #3c3c3c;
+              color: #d4d4d4;
+              border: 1px solid #555;
+              padding: 5px 10px;
+              border-radius: 3px;
+              font-family: inherit;
+              font-size: 12px;
+            }
+            .time-adjustment button {
+              background: #0e639c;
+              color: white;
+              border: none;
+              padding: 5px 12px;
+              border-radius: 3px;
+              cursor: pointer;
+              font-size: 11px;
+              font-weight: 600;
+            }
+            .time-adjustment button:hover {
+              background: #1177bb;
+            }
+            .time-adjustment button.reset {
+              background: #c5534b;
+            }
+            .time-adjustment button.reset:hover {
+              background: #d16b64;
+            }
+            .transcribe-progress {
+              width: 200px;
+              height: 8px;
+              background: #3c3c3c;
+              border-radius: 4px;
+              overflow: hidden;
+            }
+            .transcribe-progress-fill {
+              width: 0%;
+              height: 100%;
+              background: #4ec9b0;
+              transition: width 0.3s ease;
+            }
+            .transcribe-status {
+              font-size: 11px;
+              color: #858585;
+            }
+            .transcribe-status a {
+              color: #4ec9b0;
+            }
+            .time-offset-indicator {
+              color: #dcdcaa;
+              font-size: 11px;
+              font-weight: 600;
+              display: none;
+            }
+            .time-offset-indicator.active {
+              display: inline;
+            }
+            .content {
+              background: #252526;
+              border: 1px solid #3e3e42;
+              border-radius: 4px;
+              padding: 15px;
+            }
+            .caption-item {
+              padding: 12px;
+              border-left: 3px solid #4ec9b0;
+              margin-bottom: 12px;
+              background: #2d2d30;
+              border-radius: 3px;
+              transition: all 0.2s;
+              position: relative;
+            }
+            .caption-item:hover {
+              background: #333337;
+              border-left-color: #5fd4c3;
+            }
+            .caption-item.editing {
+              border-left-color: #dcdcaa;
+              background: #3a3a3d;
+            }
+            .caption-item.edited {
+              border-left-color: #dcdcaa;
+            }
+            .caption-event {
+              display: flex;
+              align-items: center;
+              gap: 12px;
+              margin: 18px 0;
+              color: #ce9178;
+              font-size: 12px;
+            }
+            .caption-event::after {
+              content: '';
+              flex: 1;
+              border-top: 1px dashed #5a5a5e;
+            }
+            .caption-event[data-event="resume"] {
+              color: #4ec9b0;
+            }
+            .caption-header {
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              margin-bottom: 6px;
+            }
+            .caption-time {
+              color: #858585;
+              font-size: 11px;
+              font-weight: 500;
+            }
+            .caption-time .date {
+              margin-right: 8px;
+              color: #6a6a6a;
+            }
+            .caption-time .time {
+              color: #9cdcfe;
+              font-weight: 600;
+            }
+            .edit-btn {
+              background: transparent;
+              border: 1px solid transparent;
+              color: #858585;
+              cursor: pointer;
+              padding: 4px 8px;
+              border-radius: 3px;
+              font-size: 12px;
+              opacity: 0;
+              transition: all 0.2s;
+            }
+            .caption-item:hover .edit-btn {
+              opacity: 1;
+            }
+            .edit-btn:hover {
+              background: #3e3e42;
+              border-color: #4ec9b0;
+              color: #4ec9b0;
+            }
+            .caption-text {
+              color: #d4d4d4;
+              font-size: 14px;
+              line-height: 1.6;
+              min-height: 20px;
+              text-align: start; /* Right-aligned for right-to-left captions (dir) */
+            }
+            .caption-text[contenteditable="true"] {
+              background: #1e1e1e;
+              padding: 8px;
+              border: 1px solid #4ec9b0;
+              border-radius: 3px;
+              outline: none;
+            }
+            .caption-text[contenteditable="true"]:focus {
+              border-color: #5fd4c3;
+              box-shadow: 0 0 0 2px rgba(78, 201, 176, 0.2);
+            }
+            .edit-actions {
+              display: flex;
+              gap: 8px;
+              margin-top: 8px;
+              justify-content: flex-end;
+            }
+            .edit-actions button {
+              padding: 6px 12px;
+              border: none;
+              border-radius: 3px;
+              cursor: pointer;
+              font-size: 12px;
+              font-family: inherit;
+              transition: all 0.2s;
+            }
+            .save-btn {
+              background: #4ec9b0;
+              color: #1e1e1e;
+              font-weight: 600;
+            }
+            .save-btn:hover {
+              background: #5fd4c3;
+            }
+            .cancel-btn {
+              background: #3e3e42;
+              color: #d4d4d4;
+            }
+            .cancel-btn:hover {
+              background: #4a4a4f;
+            }
+            .caption-speaker {
+              display: inline-block;
+              margin-left: 8px;
+              padding: 0 5px;
+              border-radius: 3px;
+              background: #264f78;
+              color: #ffffff;
+              font-size: 11px;
+              font-weight: 600;
+              cursor: pointer;
+            }
+            .caption-speaker:hover {
+              background: #0e639c;
+            }
+            .audio-btn {
+              background: transparent;
+              border: none;
+              cursor: pointer;
+              margin-left: 6px;
+              padding: 0 4px;
+              border-radius: 3px;
+              font-size: 11px;
+            }
+            .audio-btn:hover {
+              background: #3e3e42;
+            }
+            .archive-list {
+              width: 100%;
+              max-height: 180px;
+              overflow-y: auto;
+              font-size: 12px;
+            }
+            .archive-file {
+              display: flex;
+              align-items: center;
+              gap: 10px;
+              padding: 3px 0;
+            }
+            .archive-file a {
+              color: #4ec9b0;
+              font-size: 11px;
+            }
+            .speakers-bar {
+              margin-top: 8px;
+              font-size: 12px;
+              color: #858585;
+            }
+            .caption-language {
+              display: inline-block;
+              margin-left: 8px;
+              padding: 0 5px;
+              border: 1px solid #555;
+              border-radius: 3px;
+              color: #9cdcfe;
+              font-size: 10px;
+              font-weight: 600;
+              text-transform: uppercase;
+            }
+            .edited-indicator {
+              display: inline-block;
+              margin-left: 8px;
+              color: #dcdcaa;
+              font-size: 10px;
+              font-weight: 600;
+            }
+            .no-captions {
+              color: #858585;
+              text-align: center;
+              padding: 60px 20px;
+              font-style: italic;
+              font-size: 13px;
+            }
+            @media (max-width: 768px) {
+              body { padding: 10px; font-size: 11px; }
+              .header { margin: -10px -10px 10px -10px; }
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <h1>📝 Caption Transcript</h1>
+            <div class="controls">
+              <select id="roomSelect" title="Caption room" style="background: #3c3c3c; color: #d4d4d4; border: 1px solid #555; padding: 5px 10px; border-radius: 3px; font-family: inherit; font-size: 12px;">
+                ${listRooms().map(name => `<option value="${name}"${name === room ? ' selected' : ''}>🏠 ${name}</option>`).join('')}
+              </select>
+              <select id="langSelect" title="Caption language" style="background: #3c3c3c; color: #d4d4d4; border: 1px solid #555; padding: 5px 10px; border-radius: 3px; font-family: inherit; font-size: 12px;">
+                <option value="">🌍 All languages</option>
+                ${Array.from(new Set([...languages, ...(lang ? [lang] : [])])).map(code => `<option value="${escapeHtml(code)}"${code === lang ? ' selected' : ''}>🌍 ${escapeHtml(code)}</option>`).join('')}
+              </select>
+              <select id="exportFormat" style="background: #3c3c3c; color: #d4d4d4; border: 1px solid #555; padding: 5px 10px; border-radius: 3px; font-family: inherit; font-size: 12px;">
+                <option value="">📥 Export...</option>
+                <option value="txt-with">TXT (with timestamps)</option>
+                <option value="txt-without">TXT (no timestamps)</option>
+                <option value="csv-with">CSV (with timestamps)</option>
+                <option value="csv-without">CSV (no timestamps)</option>
+                <option value="json">JSON</option>
+                <option value="srt">SRT (SubRip subtitles)</option>
+              </select>
+              <button onclick="location.reload()">🔄 Refresh</button>
+              <button onclick="scrollToBottom()">⬇️ Latest</button>
+              <button onclick="toggleFileTranscription()">📁 Transcribe File</button>
+              <button onclick="toggleAudioArchive()">🎙️ Audio Archive</button>
+              <button class="danger" onclick="clearCaptions()">🗑️ Clear All</button>
+            </div>
+            <div class="stats">
+              Showing ${displayCaptions.length.toLocaleString()} of ${captions.length.toLocaleString()} captions
+              ${limit > 0 ? `(limited to last ${limit})` : '(showing all)'}
+              ${captions.length > 10000 ? '<br><span style="color: #dcdcaa;">⚠️ Large file detected. Consider using ?limit=N to view recent captions only.</span>' : ''}
+              <span class="time-offset-indicator" id="timeOffsetIndicator"></span>
+            </div>
+            <div class="time-adjustment">
+              <label for="startTime">⏰ Adjust Start Time:</label>
+              <input type="time" id="startTime" step="1" title="Set start time in 24-hour format (e.g., 00:00:00 for video start, 01:23:45 for 1h 23m 45s into video)" placeholder="HH:MM:SS">
+              <button onclick="applyTimeOffset()">Apply</button>
+              <button class="reset" onclick="resetTimeOffset()">Reset to Actual</button>
+              <span style="font-size: 11px; color: #858585; margin-left: 10px;">
+                💡 Use 24-hour format (00:00:00 to 23:59:59) - perfect for video timecodes
+              </span>
+            </div>
+            <div class="time-adjustment" id="fileTranscription" style="display: none;">
+              <label for="transcribeFile">📁 Transcribe a recording:</label>
+              <input type="file" id="transcribeFile" accept=".wav,.pcm,.raw,audio/wav,audio/x-wav">
+              <input type="text" id="transcribeRoom" placeholder="New room name (optional)" maxlength="40">
+              <button id="transcribeStart" onclick="startFileTranscription()">Start</button>
+              <div class="transcribe-progress" id="transcribeProgress" style="display: none;">
+                <div class="transcribe-progress-fill" id="transcribeProgressFill"></div>
+              </div>
+              <span class="transcribe-status" id="transcribeStatus">
+                WAV or raw 16 kHz mono PCM, transcribed at ${FILE_TRANSCRIPTION_SPEED}× real time into a new room with this room's provider settings
+              </span>
+            </div>
+            <div class="time-adjustment" id="audioArchive" style="display: none;">
+              <label>🎙️ Audio archive:</label>
+              <audio id="archivePlayer" controls preload="none"></audio>
+              <span class="transcribe-status">
+                ${AUDIO_ARCHIVE_ENABLED
+                  ? `${AUDIO_ARCHIVE_SEGMENT_MS / 60000} min WAV files, kept ${AUDIO_ARCHIVE_RETENTION_DAYS > 0 ? `${AUDIO_ARCHIVE_RETENTION_DAYS} days` : 'without time limit'}${AUDIO_ARCHIVE_MAX_GB > 0 ? ` (up to ${AUDIO_ARCHIVE_MAX_GB} GB)` : ''} - click 🔊 on a caption to hear it`
+                  : 'Off - start the server with AUDIO_ARCHIVE=true to record each room\'s audio'}
+              </span>
+              <div class="archive-list" id="archiveList"></div>
+            </div>
+            <div class="speakers-bar" id="speakersBar"${hasSpeakers ? '' : ' style="display: none;"'}>
+              🗣️ Speakers (click to rename):
+              ${Array.from(new Set(displayCaptions.map(c => c.speaker).filter(Boolean))).map(speaker => `<span class="caption-speaker" dir="auto" data-speaker="${escapeHtml(speaker)}" onclick="renameSpeaker(this.dataset.speaker)">${escapeHtml(getSpeakerName(speakerNames, speaker))}</span>`).join('')}
+            </div>
+          </div>
+          <div class="content" id="captionsContainer">
+            ${captionHTML}
+          </div>
+          <script>
+            // Time adjustment state
+            let timeOffsetMs = parseInt(localStorage.getItem('transcriptTimeOffset')) || 0;
+            let startTimeValue = localStorage.getItem('transcriptStartTime') || ''; // Store the start time string (e.g., "00:05:30")
+            let firstCaptionTimestamp = null;
+
+            // Smart autoscroll state
+            let isUserScrolling = false;
+            let autoScrollEnabled = true;
+            let scrollTimeout;
+
+            // Initialize time offset on load
+            function initTimeOffset() {
+              // Get first caption timestamp
+              const firstCaption = document.querySelector('.caption-item');
+              if (firstCaption) {
+                firstCaptionTimestamp = firstCaption.getAttribute('data-timestamp');
+                
+                // Load start time from localStorage if available
+                const savedStartTime = localStorage.getItem('transcriptStartTime');
+                if (savedStartTime) {
+                  startTimeValue = savedStartTime;
+                  document.getElementById('startTime').value = savedStartTime;
+                }
+                
+                // If offset exists, apply it and update indicator
+                if (timeOffsetMs !== 0) {
+                  updateTimeOffsetIndicator();
+                  applyStoredOffset();
+                }
+              }
+            }
+
+            // Apply time offset
+            function applyTimeOffset() {
+              const startTimeInput = document.getElementById('startTime').value;
+              if (!startTimeInput) {
+                alert('Please select a start time');
+                return;
+              }
+
+              if (!firstCaptionTimestamp) {
+                alert('No captions available');
+                return;
+              }
+
+              // Parse the input time (HH:MM:SS)
+              const [hours, minutes, seconds] = startTimeInput.split(':').map(Number);
+              
+              // Create target time using today's date
+              const targetDate = new Date();
+              targetDate.setHours(hours, minutes, seconds || 0, 0);
+              const targetMs = targetDate.getTime();
+
+              // Get first caption's actual timestamp
+              const firstCaptionDate = new Date(firstCaptionTimestamp);
+              const firstCaptionMs = firstCaptionDate.getTime();
+
+              // Calculate offset
+              timeOffsetMs = targetMs - firstCaptionMs;
+
+              // Save to localStorage
+              localStorage.setItem('transcriptTimeOffset', timeOffsetMs);
+              localStorage.setItem('transcriptStartTime', startTimeInput); // Store the start time string
+
+              // Store start time value
+              startTimeValue = startTimeInput;
+
+              // Apply to all captions
+              applyOffsetToAllCaptions();
+              updateTimeOffsetIndicator();
+            }
+
+            // Reset time offset
+            function resetTimeOffset() {
+              timeOffsetMs = 0;
+              startTimeValue = '';
+              localStorage.removeItem('transcriptTimeOffset');
+              localStorage.removeItem('transcriptStartTime');
+              document.getElementById('startTime').value = '';
+              
+              // Restore all original times
+              const captions = document.querySelectorAll('.caption-item, .caption-event');
+              captions.forEach(caption => {
+                const originalTimestamp = caption.getAttribute('data-timestamp');
+                if (originalTimestamp) {
+                  const date = new Date(originalTimestamp);
+                  const timeSpan = caption.querySelector('.caption-time .time');
+                  const dateSpan = caption.querySelector('.caption-time .date');
+                  if (timeSpan) timeSpan.textContent = date.toLocaleTimeString();
+                  if (dateSpan) dateSpan.textContent = date.toLocaleDateString();
+                }
+              });
+
+              // Hide indicator
+              const indicator = document.getElementById('timeOffsetIndicator');
+              indicator.classList.remove('active');
+              indicator.textContent = '';
+            }
+
+            // Apply offset to all captions
+            function applyOffsetToAllCaptions() {
+              const captions = document.querySelectorAll('.caption-item, .caption-event');
+              captions.forEach(caption => {
+                const originalTimestamp = caption.getAttribute('data-timestamp');
+                if (originalTimestamp) {
+                  const originalDate = new Date(originalTimestamp);
+                  const adjustedDate = new Date(originalDate.getTime() + timeOffsetMs);
+                  
+                  const timeSpan = caption.querySelector('.caption-time .time');
+                  const dateSpan = caption.querySelector('.caption-time .date');
+                  if (timeSpan) timeSpan.textContent = adjustedDate.toLocaleTimeString();
+                  if (dateSpan) dateSpan.textContent = adjustedDate.toLocaleDateString();
+                }
+              });
+            }
+
+            // Apply stored offset on page load
+            function applyStoredOffset() {
+              if (timeOffsetMs !== 0) {
+                applyOffsetToAllCaptions();
+              }
+            }
+
+            // Update time offset indicator
+            function updateTimeOffsetIndicator() {
+              const indicator = document.getElementById('timeOffsetIndicator');
+              if (timeOffsetMs !== 0) {
+                const offsetHours = Math.floor(Math.abs(timeOffsetMs) / 3600000);
+                const offsetMinutes = Math.floor((Math.abs(timeOffsetMs) % 3600000) / 60000);
+                const offsetSeconds = Math.floor((Math.abs(timeOffsetMs) % 60000) / 1000);
+                const sign = timeOffsetMs >= 0 ? '+' : '-';
+                
+                let offsetStr = '';
+                if (offsetHours > 0) offsetStr += \`\${offsetHours}h \`;
+                if (offsetMinutes > 0) offsetStr += \`\${offsetMinutes}m \`;
+                if (offsetSeconds > 0 || offsetStr === '') offsetStr += \`\${offsetSeconds}s\`;
+                
+                indicator.textContent = \` (Time adjusted: \${sign}\${offsetStr})\`;
+                indicator.classList.add('active');
+              } else {
+                indicator.classList.remove('active');
+                indicator.textContent = '';
+              }
+            }
+
+            // Detect if user is at bottom of page
+            function isAtBottom() {
+              const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+              const windowHeight = window.innerHeight;
+              const documentHeight = document.documentElement.scrollHeight;
+              return (documentHeight - (scrollTop + windowHeight)) < 100; // Within 100px of bottom
+            }
+
+            // Smart scroll: only autoscroll if user is at bottom
+            function smartScroll() {
+              if (autoScrollEnabled && isAtBottom()) {
+                window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
+              }
+            }
+
+            // Track user scrolling
+            window.addEventListener('scroll', () => {
+              clearTimeout(scrollTimeout);
+              
+              // Check if user scrolled away from bottom
+              if (!isAtBottom()) {
+                autoScrollEnabled = false;
+              } else {
+                // User scrolled back to bottom, re-enable autoscroll
+                autoScrollEnabled = true;
+              }
+              
+              // Mark as user scrolling
+              isUserScrolling = true;
+              scrollTimeout = setTimeout(() => {
+                isUserScrolling = false;
+              }, 150);
+            });
+
+            // Room and language being viewed (sent with every transcript request)
+            const ROOM = '${room}';
+            const LANG = ${JSON.stringify(lang).replace(/</g, '\\u003c')};
+            const LANG_QUERY = LANG ? '&lang=' + encodeURIComponent(LANG) : '';
+
+            // Diarization speaker names (label → name), renamed from the speaker badges
+            const SPEAKER_NAMES = ${JSON.stringify(speakerNames).replace(/</g, '\\u003c')};
+
+            function speakerName(speaker) {
+              return SPEAKER_NAMES[speaker] || (/^\\d+$/.test(speaker) ? 'Speaker ' + speaker : speaker);
+            }
+
+            function createSpeakerBadge(speaker) {
+              const badge = document.createElement('span');
+              badge.className = 'caption-speaker';
+              badge.dir = 'auto'; // Names in any script
+              badge.dataset.speaker = speaker;
+              badge.textContent = speakerName(speaker);
+              badge.title = 'Click to rename this speaker';
+              badge.onclick = () => renameSpeaker(speaker);
+              return badge;
+            }
+
+            // Rename a speaker everywhere (transcript, exports and caption displays)
+            function renameSpeaker(speaker) {
+              const name = prompt('Name for ' + speakerName(speaker) + ' (leave empty to reset):', SPEAKER_NAMES[speaker] || '');
+              if (name === null) return;
+
+              fetch('/transcript/speakers?room=' + ROOM, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ speaker, name })
+              })
+              .then(res => res.json())
+              .then(data => {
+                if (!data.success) {
+                  throw new Error(data.error || 'Unknown error');
+                }
+                Object.keys(SPEAKER_NAMES).forEach(key => delete SPEAKER_NAMES[key]);
+                Object.assign(SPEAKER_NAMES, data.speakers);
+                document.querySelectorAll('.caption-speaker').forEach(badge => {
+                  badge.textContent = speakerName(badge.dataset.speaker);
+                });
+              })
+              .catch(err => {
+                alert('Error renaming speaker: ' + err.message);
+              });
+            }
+
+            // File transcription - upload a recording, then follow the job's progress
+            function toggleFileTranscription() {
+              const panel = document.getElementById('fileTranscription');
+              panel.style.display = panel.style.display === 'none' ? '' : 'none';
+            }
+
+            function formatClock(ms) {
+              const totalSeconds = Math.floor(ms / 1000);
+              const minutes = Math.floor(totalSeconds / 60);
+              const seconds = totalSeconds % 60;
+              return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+            }
+
+            function showTranscribeProgress(fraction, text) {
+              document.getElementById('transcribeProgress').style.display = '';
+              document.getElementById('transcribeProgressFill').style.width = Math.round(fraction * 100) + '%';
+              document.getElementById('transcribeStatus').textContent = text;
+            }
+
+            function startFileTranscription() {
+              const file = document.getElementById('transcribeFile').files[0];
+              if (!file) {
+                alert('Please choose a WAV or PCM file');
+                return;
+              }
+              const roomName = document.getElementById('transcribeRoom').value.trim();
+              const startButton = document.getElementById('transcribeStart');
+              startButton.disabled = true;
+
+              const xhr = new XMLHttpRequest();
+              xhr.open('POST', '/transcribe?configFrom=' + ROOM + '&fileName=' + encodeURIComponent(file.name) +
+                (roomName ? '&room=' + encodeURIComponent(roomName) : ''));
+              xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+              xhr.upload.onprogress = function(e) {
+                if (e.lengthComputable) {
+                  showTranscribeProgress(e.loaded / e.total, '⬆️ Uploading ' + file.name + '... ' + Math.round(e.loaded / e.total * 100) + '%');
+                }
+              };
+              xhr.onload = function() {
+                let data;
+                try {
+                  data = JSON.parse(xhr.responseText);
+                } catch (e) {
+                  data = { error: 'HTTP ' + xhr.status };
+                }
+                if (!data.success) {
+                  startButton.disabled = false;
+                  showTranscribeProgress(0, '❌ ' + (data.error || 'Upload failed'));
+                  return;
+                }
+                pollTranscriptionJob(data.job.id);
+              };
+              xhr.onerror = function() {
+                startButton.disabled = false;
+                showTranscribeProgress(0, '❌ Upload failed');
+              };
+              xhr.send(file);
+            }
+
+            function pollTranscriptionJob(id) {
+              fetch('/transcribe/' + id)
+                .then(res => res.json())
+                .then(data => {
+                  const job = data.job;
+                  if (!job) throw new Error(data.error || 'Unknown job');
+                  if (job.status === 'error') {
+                    document.getElementById('transcribeStart').disabled = false;
+                    showTranscribeProgress(job.progress, '❌ ' + job.error);
+                    return;
+                  }
+                  if (job.status === 'done') {
+                    document.getElementById('transcribeStart').disabled = false;
+                    showTranscribeProgress(1, '');
+                    const link = document.createElement('a');
+                    link.href = '/transcript?room=' + encodeURIComponent(job.room);
+                    link.textContent = 'open transcript (' + job.room + ')';
+                    const status = document.getElementById('transcribeStatus');
+                    status.textContent = '✅ ' + job.fileName + ' transcribed - ';
+                    status.appendChild(link);
+                    return;
+                  }
+                  const label = job.status === 'connecting' ? '🔌 Connecting to the speech provider...'
+                    : job.status === 'finishing' ? '⏳ Waiting for the last captions...'
+                    : '🧠 Transcribing ' + job.fileName + ': ' + formatClock(job.processedMs) + ' / ' + formatClock(job.durationMs) +
+                      ' (' + Math.round(job.progress * 100) + '%)';
+                  showTranscribeProgress(job.progress, label);
+                  setTimeout(() => pollTranscriptionJob(id), 1000);
+                })
+                .catch(err => {
+                  console.error('Transcription progress error:', err);
+                  setTimeout(() => pollTranscriptionJob(id), 2000);
+                });
+            }
+
+            // Audio archive - the room's recorded audio, also played back from timed captions
+            let archiveFiles = null;
+
+            function toggleAudioArchive() {
+              const panel = document.getElementById('audioArchive');
+              panel.style.display = panel.style.display === 'none' ? '' : 'none';
+              if (panel.style.display === '') {
+                loadAudioArchive().catch(err => console.error('Audio archive error:', err));
+              }
+            }
+
+            function formatBytes(bytes) {
+              return bytes >= 1048576 ? (bytes / 1048576).toFixed(1) + ' MB' : Math.round(bytes / 1024) + ' KB';
+            }
+
+            function loadAudioArchive() {
+              return fetch('/transcript/archive?room=' + ROOM)
+                .then(res => res.json())
+                .then(data => {
+                  archiveFiles = data.files || [];
+                  const list = document.getElementById('archiveList');
+                  list.innerHTML = '';
+                  if (data.enabled && archiveFiles.length === 0) {
+                    list.textContent = 'No audio archived for this room yet.';
+                  }
+                  archiveFiles.slice().reverse().forEach(file => {
+                    const row = document.createElement('div');
+                    row.className = 'archive-file';
+                    const label = document.createElement('span');
+                    label.textContent = (file.recording ? '🔴 ' : '📼 ') +
+                      (file.startedAt ? new Date(file.startedAt).toLocaleString() : file.file) +
+                      ' · ' + formatClock(file.durationMs) + ' · ' + formatBytes(file.size);
+                    const playButton = document.createElement('button');
+                    playButton.textContent = '▶️ Play';
+                    playButton.onclick = function() { playArchivedAudio(file, 0); };
+                    const downloadLink = document.createElement('a');
+                    downloadLink.href = file.url;
+                    downloadLink.textContent = '⬇️ Download';
+                    row.append(label, playButton, downloadLink);
+                    list.appendChild(row);
+                  });
+                  return archiveFiles;
+                });
+            }
+
+            function playArchivedAudio(file, offsetSeconds) {
+              document.getElementById('audioArchive').style.display = '';
+              const player = document.getElementById('archivePlayer');
+              player.src = file.url + '#t=' + Math.max(0, offsetSeconds).toFixed(1);
+              player.play().catch(err => console.error('Audio playback error:', err));
+            }
+
+            // Play a caption from its archive file, starting a second before it was spoken
+            function playCaptionAudio(button) {
+              const fileName = button.dataset.audioFile;
+              const startMs = parseInt(button.dataset.startMs);
+              const files = archiveFiles && archiveFiles.some(f => f.file === fileName) ? Promise.resolve(archiveFiles) : loadAudioArchive();
+              files
+                .then(list => {
+                  const file = list.find(f => f.file === fileName);
+                  if (!file || file.startMs === null) {
+                    alert('The archived audio of this caption is no longer available');
+                    return;
+                  }
+                  playArchivedAudio(file, (startMs - file.startMs) / 1000 - 1);
+                })
+                .catch(err => alert('Could not load the audio archive: ' + err.message));
+            }
+
+            document.getElementById('roomSelect').addEventListener('change', function(e) {
+              window.location.href = '/transcript?room=' + encodeURIComponent(e.target.value);
+            });
+
+            document.getElementById('langSelect').addEventListener('change', function(e) {
+              window.location.href = '/transcript?room=' + ROOM + (e.target.value ? '&lang=' + encodeURIComponent(e.target.value) : '');
+            });
+
+            // Handle export dropdown
+            document.getElementById('exportFormat').addEventListener('change', function(e) {
+              const value = e.target.value;
+              if (!value) return;
+
+              let url;
+              switch(value) {
+                case 'txt-with':
+                  url = '/transcript?room=' + ROOM + LANG_QUERY + '&format=txt&timestamp=true';
+                  if (timeOffsetMs !== 0) url += '&offset=' + timeOffsetMs;
+                  break;
+                case 'txt-without':
+                  url = '/transcript?room=' + ROOM + LANG_QUERY + '&format=txt&timestamp=false';
+                  break;
+                case 'csv-with':
+                  url = '/transcript?room=' + ROOM + LANG_QUERY + '&format=csv&timestamp=true';
+                  if (timeOffsetMs !== 0) url += '&offset=' + timeOffsetMs;
+                  break;
+                case 'csv-without':
+                  url = '/transcript?room=' + ROOM + LANG_QUERY + '&format=csv&timestamp=false';
+                  break;
+                case 'json':
+                  url = '/transcript?room=' + ROOM + LANG_QUERY + '&format=json';
+                  if (timeOffsetMs !== 0) url += '&offset=' + timeOffsetMs;
+                  break;
+                case 'srt':
+                  url = '/transcript?room=' + ROOM + LANG_QUERY + '&format=srt';
+                  // Include time offset if set
+                  if (timeOffsetMs !== 0) {
+                    url += '&offset=' + timeOffsetMs;
+                  }
+                  // Include start time if set (for SRT base time)
+                  if (startTimeValue) {
+                    url += '&startTime=' + encodeURIComponent(startTimeValue);
+                  }
+                  break;
+              }
+
+              if (url) {
+                window.location.href = url;
+              }
+
+              // Reset dropdown
+              setTimeout(() => e.target.value = '', 100);
+            });
+
+            function scrollToBottom() {
+              autoScrollEnabled = true;
+              window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
+            }
+
+            function clearCaptions() {
+              if (confirm('Are you sure you want to clear all captions? This will delete the entire caption history and cannot be undone.')) {
+                fetch('/transcript/clear?room=' + ROOM + LANG_QUERY, { method: 'POST' })
+                  .then(res => res.json())
+                  .then(data => {
+                    alert(data.message);
+                    location.reload();
+                  })
+                  .catch(err => alert('Error clearing captions: ' + err.message));
+              }
+            }
+
+            // Inline editing functionality
+            function editCaption(button) {
+              const captionItem = button.closest('.caption-item');
+              const captionText = captionItem.querySelector('.caption-text');
+              const originalText = captionText.getAttribute('data-original');
+              
+              // Don't allow multiple edits at once
+              if (document.querySelector('.caption-item.editing')) {
+                alert('Please finish editing the current caption first.');
+                return;
+              }
+              
+              captionItem.classList.add('editing');
+              captionText.contentEditable = true;
+              captionText.focus();
+              
+              // Select all text
+              const range = document.createRange();
+              range.selectNodeContents(captionText);
+              const selection = window.getSelection();
+              selection.removeAllRanges();
+              selection.addRange(range);
+              
+              // Create action buttons
+              const actionsDiv = document.createElement('div');
+              actionsDiv.className = 'edit-actions';
+              actionsDiv.innerHTML = \`
+                <button class="cancel-btn" onclick="cancelEdit(this)">❌ Cancel</button>
+                <button class="save-btn" onclick="saveEdit(this)">💾 Save</button>
+              \`;
+              captionItem.appendChild(actionsDiv);
+              
+              // Hide edit button
+              button.style.display = 'none';
+            }
+
+            function cancelEdit(button) {
+              const captionItem = button.closest('.caption-item');
+              const captionText = captionItem.querySelector('.caption-text');
+              const originalText = captionText.getAttribute('data-original');
+              
+              // Restore original text (decode HTML entities)
+              const textarea = document.createElement('textarea');
+              textarea.innerHTML = originalText;
+              captionText.textContent = textarea.value;
+              
+              captionText.contentEditable = false;
+              captionItem.classList.remove('editing');
+              
+              // Remove action buttons
+              captionItem.querySelector('.edit-actions').remove();
+              
+              // Show edit button again
+              captionItem.querySelector('.edit-btn').style.display = '';
+            }
+
+            function saveEdit(button) {
+              const captionItem = button.closest('.caption-item');
+              const captionText = captionItem.querySelector('.caption-text');
+              const newText = captionText.textContent.trim();
+              const timestamp = captionItem.getAttribute('data-timestamp');
+              const language = captionItem.getAttribute('data-language') || undefined;
+              
+              if (!newText) {
+                alert('Caption cannot be empty');
+                return;
+              }
+              
+              // Disable buttons during save
+              button.disabled = true;
+              button.textContent = '⏳ Saving...';
+              
+              // Send update to server
+              fetch('/transcript/edit?room=' + ROOM, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ timestamp, language, newText })
+              })
+              .then(res => res.json())
+              .then(data => {
+                if (data.success) {
+                  // Update successful
+                  captionText.contentEditable = false;
+                  captionItem.classList.remove('editing');
+                  captionItem.classList.add('edited');
+                  
+                  // Update data-original
+                  captionText.setAttribute('data-original', newText.replace(/"/g, '&quot;'));
+                  
+                  // Add edited indicator if not already present
+                  if (!captionItem.querySelector('.edited-indicator')) {
+                    const timeDiv = captionItem.querySelector('.caption-time');
+                    const indicator = document.createElement('span');
+                    indicator.className = 'edited-indicator';
+                    indicator.textContent = 'EDITED';
+                    indicator.title = 'This caption has been manually edited';
+                    timeDiv.appendChild(indicator);
+                  }
+                  
+                  // Remove action buttons
+                  captionItem.querySelector('.edit-actions').remove();
+                  
+                  // Show edit button again
+                  captionItem.querySelector('.edit-btn').style.display = '';
+                } else {
+                  alert('Failed to save: ' + (data.error || 'Unknown error'));
+                  button.disabled = false;
+                  button.textContent = '💾 Save';
+                }
+              })
+              .catch(err => {
+                alert('Error saving caption: ' + err.message);
+                button.disabled = false;
+                button.textContent = '💾 Save';
+              });
+            }
+
+            // Auto-scroll to bottom on load
+            setTimeout(scrollToBottom, 100);
+
+            // Real-time updates via Server-Sent Events
+            const eventSource = new EventSource('/transcript/stream?room=' + ROOM);
+
+            eventSource.onmessage = function(event) {
+              const caption = JSON.parse(event.data);
+              const container = document.getElementById('captionsContainer');
+
+              // Only show captions in the selected language (hold markers belong to every language)
+              if (LANG && caption.language !== LANG && !caption.event) return;
+
+              // Set first caption timestamp if not set
+              if (!firstCaptionTimestamp) {
+                firstCaptionTimestamp = caption.timestamp;
+              }
+
+              // Remove "no captions" message if present
+              const noCaptions = container.querySelector('.no-captions');
+              if (noCaptions) {
+                noCaptions.remove();
+              }
+
+              // Apply time offset if set
+              const originalDate = new Date(caption.timestamp);
+              const adjustedDate = new Date(originalDate.getTime() + timeOffsetMs);
+              const time = adjustedDate.toLocaleTimeString();
+              const date = adjustedDate.toLocaleDateString();
+
+              if (caption.event) {
+                // Hold/resume marker
+                const eventDiv = document.createElement('div');
+                eventDiv.className = 'caption-event';
+                eventDiv.setAttribute('data-timestamp', caption.timestamp);
+                eventDiv.setAttribute('data-event', caption.event);
+                eventDiv.innerHTML = '<span class="caption-time"><span class="date"></span><span class="time"></span></span><span class="caption-event-text"></span>';
+                eventDiv.querySelector('.date').textContent = date;
+                eventDiv.querySelector('.time').textContent = time;
+                eventDiv.querySelector('.caption-event-text').textContent = caption.text;
+                container.appendChild(eventDiv);
+                smartScroll();
+                return;
+              }
+
+              const captionDiv = document.createElement('div');
+              captionDiv.className = 'caption-item';
+              captionDiv.setAttribute('data-timestamp', caption.timestamp); // Store original timestamp
+              captionDiv.setAttribute('data-language', caption.language || '');
+              captionDiv.innerHTML = \`
+                <div class="caption-header">
+                  <div class="caption-time">
+                    <span class="date">\${date}</span>
+                    <span class="time">\${time}</span>
+                  </div>
+                  <button class="edit-btn" onclick="editCaption(this)" title="Edit caption">✏️</button>
+                </div>
+                <div class="caption-text" dir="\${caption.direction || 'auto'}" data-original="\${caption.text.replace(/"/g, '&quot;')}">\${caption.text}</div>
+              \`;
+
+              // Language badge (the detected language → the caption's language)
+              if (caption.language && (!LANG || caption.detectedLanguage)) {
+                const languageBadge = document.createElement('span');
+                languageBadge.className = 'caption-language';
+                languageBadge.textContent = (caption.detectedLanguage ? caption.detectedLanguage + ' → ' : '') + caption.language;
+                captionDiv.querySelector('.caption-time').appendChild(languageBadge);
+              }
+
+              // Play button for the archived audio of the caption
+              if (caption.audioFile && typeof caption.startMs === 'number') {
+                const audioButton = document.createElement('button');
+                audioButton.className = 'audio-btn';
+                audioButton.dataset.audioFile = caption.audioFile;
+                audioButton.dataset.startMs = caption.startMs;
+                audioButton.title = 'Play the archived audio of this caption';
+                audioButton.textContent = '🔊';
+                audioButton.onclick = function() { playCaptionAudio(audioButton); };
+                captionDiv.querySelector('.caption-time .time').after(audioButton);
+              }
+
+              // Speaker badge, and a new speaker in the speakers bar
+              if (caption.speaker) {
+                captionDiv.querySelector('.caption-time .time').after(createSpeakerBadge(caption.speaker));
+                const speakersBar = document.getElementById('speakersBar');
+                if (!speakersBar.querySelector('.caption-speaker[data-speaker="' + CSS.escape(caption.speaker) + '"]')) {
+                  speakersBar.appendChild(createSpeakerBadge(caption.speaker));
+                  speakersBar.style.display = '';
+                }
+              }
+
+              container.appendChild(captionDiv);
+
+              // Smart auto-scroll to new caption (only if user is at bottom)
+              smartScroll();
+
+              // Update stats
+              const stats = document.querySelector('.stats');
+              const match = stats.textContent.match(/Showing ([\\d,]+) of ([\\d,]+)/);
+              if (match) {
+                const newTotal = parseInt(match[2].replace(/,/g, '')) + 1;
+                const newShowing = parseInt(match[1].replace(/,/g, '')) + 1;
+                stats.textContent = \`Showing \${newShowing.toLocaleString()} of \${newTotal.toLocaleString()} captions\`;
+              }
+            };
+
+            eventSource.onerror = function(err) {
+              console.error('SSE Error:', err);
+              // Reconnection is automatic
+            };
+
+            // Initialize time offset on page load
+            window.addEventListener('DOMContentLoaded', initTimeOffset);
+            // Also call immediately in case DOMContentLoaded already fired
+            if (document.readyState === 'loading') {
+              document.addEventListener('DOMContentLoaded', initTimeOffset);
+            } else {
+              initTimeOffset();
+            }
+          </script>
+        </body>
+      </html>
+    `;
+
+    res.send(html);
+  });
+});
+
+/**
+ * Clear captions endpoint
+ */
+app.post('/transcript/clear', (req, res) => {
+  const room = normalizeRoomName(req.query.room);
+  if (!room) {
+    return res.status(400).json({ error: 'Invalid room name' });
+  }
+  const lang = normalizeLanguageCode(req.query.lang);
+  if (lang === null) {
+    return res.status(400).json({ error: 'Invalid language code' });
+  }
+  const captionsLogFile = getCaptionsLogFile(room);
+
+  if (lang) {
+    // Clear one language only - keep the other languages' captions
+    fs.readFile(captionsLogFile, 'utf8', (err, data) => {
+      if (err && err.code !== 'ENOENT') {
+        logger.error('Failed to read captions for clear:', err.message);
+        return res.status(500).json({ error: 'Failed to clear captions', message: err.message });
+      }
+      const remaining = (data || '').split('\n')
+        .filter(line => line.trim() && parseCaptionLine(line).language !== lang);
+      fs.writeFile(captionsLogFile, remaining.length > 0 ? remaining.join('\n') + '\n' : '', (err) => {
+        if (err) {
+          logger.error('Failed to clear captions:', err.message);
+          return res.status(500).json({ error: 'Failed to clear captions', message: err.message });
+        }
+        if (sessions.has(room)) {
+          const history = sessions.get(room).captionHistory;
+          const kept = history.filter(c => c.language !== lang);
+          history.length = 0;
+          history.push(...kept);
+        }
+        logger.info(`Captions cleared by user (room: ${room}, language: ${lang})`);
+        res.json({ message: `All ${lang} captions cleared successfully` });
+      });
+    });
+    return;
+  }
+
+  fs.writeFile(captionsLogFile, '', (err) => {
+    if (err) {
+      logger.error('Failed to clear captions:', err.message);
+      return res.status(500).json({ error: 'Failed to clear captions', message: err.message });
+    }
+    // Also clear in-memory history
+    if (sessions.has(room)) {
+      sessions.get(room).captionHistory.length = 0;
+    }
+    logger.info(`Captions cleared by user (room: ${room})`);
+    res.json({ message: 'All captions cleared successfully' });
+  });
+});
+
+/**
+ * Edit caption endpoint
+ */
+app.post('/transcript/edit', (req, res) => {
+  const { timestamp, newText, language } = req.body;
+  const room = normalizeRoomName(req.query.room || req.body.room);
+  
+  if (!timestamp || !newText) {
+    return res.status(400).json({ success: false, error: 'Missing timestamp or newText' });
+  }
+  if (!room) {
+    return res.status(400).json({ success: false, error: 'Invalid room name' });
+  }
+  const captionsLogFile = getCaptionsLogFile(room);
+  
+  // Read the captions file
+  fs.readFile(captionsLogFile, 'utf8', (err, data) => {
+    if (err) {
+      logger.error('Failed to read captions for edit:', err.message);
+      return res.status(500).json({ success: false, error: 'Failed to read captions file' });
+    }
+    
+    // Parse and update the caption
+    const lines = data.split('\n').filter(line => line.trim());
+    let updated = false;
+    const updatedLines = lines.map(line => {
+      const entry = parseCaptionLine(line);
+      // Captions in different languages can share a timestamp, so match the language too
+      if (!updated && entry.timestamp === timestamp && (!language || entry.language === language)) {
+        updated = true;
+        logger.info(`Caption edited: "${entry.text}" → "${newText}"`);
+        return formatCaptionLine({ ...entry, text: newText });
+      }
+      return line;
+    });
+    
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Caption not found' });
+    }
+    
+    // Write back to file
+    const newContent = updatedLines.join('\n') + '\n';
+    fs.writeFile(captionsLogFile, newContent, 'utf8', (err) => {
+      if (err) {
+        logger.error('Failed to save edited caption:', err.message);
+        return res.status(500).json({ success: false, error: 'Failed to save changes' });
+      }
+      
+      // Update in-memory history if present
+      const memoryEntry = sessions.has(room)
+        ? sessions.get(room).captionHistory.find(c => c.timestamp === timestamp && (!language || c.language === language))
+        : null;
+      if (memoryEntry) {
+        memoryEntry.text = newText;
+      }
+      
+      res.json({ success: true, message: 'Caption updated successfully' });
+    });
+  });
+});
+
+/**
+ * Rename a speaker ("Speaker 1" → "Pastor John", or an audio input label)
+ * Names apply to the transcript, exports and caption displays, including past captions.
+ * An empty name goes back to the default ("Speaker N" or the input label).
+ */
+app.post('/transcript/speakers', (req, res) => {
+  const { speaker } = req.body;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim().substring(0, 60) : '';
+  const session = getSession(req.query.room || req.body.room);
+
+  if (!speaker) {
+    return res.status(400).json({ success: false, error: 'Missing speaker' });
+  }
+  if (!session) {
+    return res.status(400).json({ success: false, error: 'Invalid room name' });
+  }
+
+  const previousName = getSpeakerName(session.speakerNames, String(speaker));
+  if (name) {
+    session.speakerNames[String(speaker)] = name;
+  } else {
+    delete session.speakerNames[String(speaker)];
+  }
+
+  saveSpeakerNames(session, (err) => {
+    if (err) {
+      logger.error('Failed to save speaker names:', err.message);
+      return res.status(500).json({ success: false, error: 'Failed to save speaker names' });
+    }
+    logger.info(`Speaker renamed in room ${session.name}: "${previousName}" → "${getSpeakerName(session.speakerNames, String(speaker))}"`);
+
+    // Caption displays show the new name from now on
+    session.captionClients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN && client.captionFormat !== 'text') {
+        client.send(JSON.stringify({ type: 'speakers', room: session.name, speakers: session.speakerNames }));
+      }
+    });
+
+    res.json({ success: true, speakers: session.speakerNames });
+  });
+});
+
+/**
+ * List a room's archived audio files (see AUDIO ARCHIVE)
+ */
+app.get('/transcript/archive', (req, res) => {
+  const room = normalizeRoomName(req.query.room);
+  if (!room) {
+    return res.status(400).json({ error: 'Invalid room name' });
+  }
+  res.json({
+    room,
+    enabled: AUDIO_ARCHIVE_ENABLED,
+    segmentMinutes: AUDIO_ARCHIVE_SEGMENT_MS / 60000,
+    retentionDays: AUDIO_ARCHIVE_RETENTION_DAYS,
+    maxGB: AUDIO_ARCHIVE_MAX_GB,
+    files: listAudioArchive(room)
+  });
+});
+
+/**
+ * Download (or play) an archived audio file
+ * The file being recorded gets its header sizes written first, so it plays up to now
+ */
+app.get('/transcript/archive/:file', (req, res) => {
+  const room = normalizeRoomName(req.query.room);
+  if (!room) {
+    return res.status(400).json({ error: 'Invalid room name' });
+  }
+  const file = req.params.file;
+  const filePath = path.join(getAudioArchiveDir(room), file);
+  if (!AUDIO_ARCHIVE_FILE_PATTERN.test(file) || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Archived audio not found' });
+  }
+
+  const session = sessions.get(room);
+  const sendFile = () => res.download(filePath, `${room}-${file}`);
+  if (session && getRecordingArchiveFiles(session).includes(file)) {
+    updateWavHeaderSizes(filePath, (err) => {
+      if (err) console.error(`❌ Could not update archived audio ${file}:`, err.message);
+      sendFile();
+    });
+  } else {
+    sendFile();
+  }
+});
+
+/**
+ * SSE endpoint for real-time transcript updates
+ */
+app.get('/transcript/stream', (req, res) => {
+  const session = getSession(req.query.room);
+  if (!session) {
+    return res.status(400).json({ error: 'Invalid room name' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  // Add client to set
+  session.transcriptSSEClients.add(res);
+
+  // Send initial heartbeat
+  res.write(': heartbeat\n\n');
+
+  // Keep connection alive with periodic heartbeats
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, 30000);
+
+  // Clean up on close
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    session.transcriptSSEClients.delete(res);
+  });
+});
+
+/**
+ * List caption rooms with their connection state and client counts
+ */
+app.get('/sessions', (req, res) => {
+  const rooms = listRooms().map(name => {
+    const session = sessions.get(name);
+    return {
+      room: name,
+      active: !!session,
+      status: session ? session.connectionState : 'disconnected',
+      provider: session ? session.providerConfig.provider : null,
+      sourceLanguage: session ? session.providerConfig.sourceLanguage : null,
+      targetLanguage: session ? session.providerConfig.targetLanguage : null,
+      targetLanguages: session ? getTargetLanguages(session.providerConfig) : [],
+      translationMode: session ? session.providerConfig.translationMode : null,
+      speakerDiarization: session ? session.providerConfig.speakerDiarization === true : false,
+      contextProfile: session ? session.providerConfig.contextProfile : null,
+      streams: session ? getStreamStatuses(session) : [],
+      audioClients: session ? session.clientWebSockets.length : 0,
+      audioSources: session ? getAudioSources(session) : [],
+      audioAlarms: session ? getAudioAlarms(session) : [],
+      hold: session ? getHoldState(session) : { held: false },
+      captionDisplays: session ? session.captionClients.size : 0,
+      displayProfiles: session ? getDisplayProfileCounts(session) : {}
+    };
+  });
+  res.json({ defaultRoom: DEFAULT_ROOM, rooms });
+});
+
+/**
+ * Number of connected caption displays per display profile
+ */
+function getDisplayProfileCounts(session) {
+  const counts = {};
+  session.captionClients.forEach(client => {
+    counts[client.displayProfile] = (counts[client.displayProfile] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Context profiles - list all
+ */
+app.get('/context-profiles', (req, res) => {
+  res.json({
+    profiles: Array.from(contextProfiles.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    limits: { terms: MAX_CONTEXT_TERMS, textLength: MAX_CONTEXT_TEXT_LENGTH }
+  });
+});
+
+/**
+ * Context profiles - create or update a profile ({ name, terms, text })
+ * Rooms using the profile get the new version on their next connect/reconnect
+ */
+app.post('/context-profiles', (req, res) => {
+  const profile = normalizeContextProfile({ ...req.body, updatedAt: new Date().toISOString() });
+  if (!profile) {
+    return res.status(400).json({ success: false, error: 'Profile name is required' });
+  }
+
+  const isNew = !contextProfiles.has(profile.name);
+  contextProfiles.set(profile.name, profile);
+  saveContextProfiles((err) => {
+    if (err) {
+      logger.error('Failed to save context profiles:', err.message);
+      return res.status(500).json({ success: false, error: 'Failed to save context profile' });
+    }
+    logger.info(`Context profile ${isNew ? 'created' : 'updated'}: ${profile.name} (${profile.terms.length} terms)`);
+    res.json({ success: true, profile });
+  });
+});
+
+/**
+ * Context profiles - delete a profile
+ */
+app.delete('/context-profiles/:name', (req, res) => {
+  const name = req.params.name;
+  if (!contextProfiles.has(name)) {
+    return res.status(404).json({ success: false, error: 'Context profile not found' });
+  }
+
+  contextProfiles.delete(name);
+  saveContextProfiles((err) => {
+    if (err) {
+      logger.error('Failed to save context profiles:', err.message);
+      return res.status(500).json({ success: false, error: 'Failed to delete context profile' });
+    }
+    logger.info(`Context profile deleted: ${name}`);
+    res.json({ success: true });
+  });
+});
+
+/**
+ * Caption themes - list saved themes (the built-in presets are in captions.html)
+ */
+app.get('/themes', (req, res) => {
+  res.json({
+    themes: Array.from(themes.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    limits: { customCssLength: MAX_THEME_CSS_LENGTH }
+  });
+});
+
+/**
+ * Caption themes - create or update a theme ({ name, background, ..., customCss })
+ * Displays using the theme keep their copy until their profile's settings are sent again
+ */
+app.post('/themes', (req, res) => {
+  const theme = normalizeTheme({ ...req.body, updatedAt: new Date().toISOString() });
+  if (!theme) {
+    return res.status(400).json({ success: false, error: 'Theme name is required' });
+  }
+
+  const isNew = !themes.has(theme.name);
+  themes.set(theme.name, theme);
+  saveThemes((err) => {
+    if (err) {
+      logger.error('Failed to save themes:', err.message);
+      return res.status(500).json({ success: false, error: 'Failed to save theme' });
+    }
+    logger.info(`Theme ${isNew ? 'created' : 'updated'}: ${theme.name}`);
+    res.json({ success: true, theme });
+  });
+});
+
+/**
+ * Caption themes - delete a theme
+ */
+app.delete('/themes/:name', (req, res) => {
+  const name = req.params.name;
+  if (!themes.has(name)) {
+    return res.status(404).json({ success: false, error: 'Theme not found' });
+  }
+
+  themes.delete(name);
+  saveThemes((err) => {
+    if (err) {
+      logger.error('Failed to save themes:', err.message);
+      return res.status(500).json({ success: false, error: 'Failed to delete theme' });
+    }
+    logger.info(`Theme deleted: ${name}`);
+    res.json({ success: true });
+  });
+});
+
+/**
+ * SSE endpoint for real-time log streaming
+ */
+app.get('/logs/stream', (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  // Add client to set
+  logsSSEClients.add(res);
+
+  // Send initial heartbeat
+  res.write(': heartbeat\n\n');
+
+  // Keep connection alive with periodic heartbeats
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, 30000);
+
+  // Clean up on close
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    logsSSEClients.delete(res);
+  });
+});
+
+/**
+ * File transcription - upload a WAV or raw PCM file as the request body
+ * ?fileName= (names the new room), ?room= (explicit room name),
+ * ?configFrom=<room> (use that room's provider settings, default main),
+ * ?format=pcm|wav&rate=&channels= as for /ingest
+ */
+app.post('/transcribe', (req, res) => {
+  const fileName = String(req.query.fileName || 'upload').substring(0, 200);
+  const configRoom = normalizeRoomName(req.query.configFrom);
+  const format = ['pcm', 'wav'].includes(req.query.format) ? req.query.format : 'auto';
+  const sampleRate = req.query.rate ? parseInt(req.query.rate, 10) : INGEST_SAMPLE_RATE;
+  const channels = req.query.channels ? parseInt(req.query.channels, 10) : 1;
+  if (!(sampleRate >= 8000 && sampleRate <= 192000) || !(channels >= 1 && channels <= 8)) {
+    return res.status(400).json({ success: false, error: 'Invalid rate or channels' });
+  }
+  let room;
+  try {
+    room = getFileTranscriptRoom(req.query.room, fileName);
+  } catch (error) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  // Hold the room while the upload is received - once the job has started its session
+  // holds it, and a refused or aborted upload frees it
+  reservedFileRooms.add(room);
+  res.on('close', () => reservedFileRooms.delete(room));
+
+  const decoder = new AudioStreamDecoder({ format, sampleRate, channels });
+  const chunks = []; // Decoded audio, streamed from these chunks (not copied into one buffer)
+  let audioBytes = 0;
+  let failed = false;
+  req.on('data', (chunk) => {
+    if (failed) return;
+    try {
+      const pcm = decoder.decode(chunk);
+      if (pcm.length > 0) chunks.push(pcm);
+      audioBytes += pcm.length;
+    } catch (error) {
+      failed = true;
+      res.set('Connection', 'close').status(415).json({ success: false, error: error.message });
+      return;
+    }
+    if (audioBytes > MAX_TRANSCRIBE_BYTES) {
+      // Answer now and drop the rest of the body with the connection
+      failed = true;
+      chunks.length = 0;
+      const maxMinutes = Math.floor(MAX_TRANSCRIBE_BYTES / AUDIO_BYTES_PER_MS / 60000);
+      res.set('Connection', 'close').status(413).json({ success: false, error: `File too long - files of up to ${maxMinutes} minutes can be transcribed (MAX_TRANSCRIBE_MB)` });
+    }
+  });
+  req.on('end', () => {
+    if (failed) return;
+    if (audioBytes === 0) {
+      return res.status(400).json({ success: false, error: 'No audio in the uploaded file' });
+    }
+
+    // Use the provider settings of a live room (API key, languages, diarization, context)
+    const configSession = sessions.get(configRoom || DEFAULT_ROOM);
+    const providerConfig = { ...(configSession ? configSession.providerConfig : DEFAULT_PROVIDER_CONFIG), inputMode: 'mix' };
+    const job = {
+      id: String(++lastTranscriptionJobId),
+      room,
+      fileName,
+      format: decoder.description,
+      status: 'connecting',
+      durationMs: Math.round(audioBytes / AUDIO_BYTES_PER_MS),
+      processedMs: 0,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      timer: null
+    };
+    transcriptionJobs.set(job.id, job);
+    runTranscriptionJob(job, chunks, providerConfig);
+    res.json({ success: true, job: describeTranscriptionJob(job) });
+  });
+});
+
+/**
+ * File transcription - list jobs / job progress
+ */
+app.get('/transcribe', (req, res) => {
+  res.json({ jobs: Array.from(transcriptionJobs.values()).map(describeTranscriptionJob) });
+});
+
+app.get('/transcribe/:id', (req, res) => {
+  const job = transcriptionJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Transcription job not found' });
+  }
+  res.json({ success: true, job: describeTranscriptionJob(job) });
+});
+
+/**
+ * Network audio ingest - stream raw PCM or WAV in the (chunked) request body
+ * e.g. ffmpeg -i <input> -ac 1 -ar 16000 -f wav -method POST http://<server>:8080/ingest?room=chapel
+ * ?format=pcm|wav (default: detect), ?rate=&channels= for raw PCM that isn't 16 kHz mono,
+ * ?label=Translator to tag the input (the speaker of its captions)
+ */
+app.post('/ingest', (req, res) => {
+  const session = getSession(req.query.room);
+  if (!session) {
+    return res.status(400).json({ success: false, error: 'Invalid room name' });
+  }
+  const format = ['pcm', 'wav'].includes(req.query.format) ? req.query.format : 'auto';
+  const sampleRate = req.query.rate ? parseInt(req.query.rate, 10) : INGEST_SAMPLE_RATE;
+  const channels = req.query.channels ? parseInt(req.query.channels, 10) : 1;
+  if (!(sampleRate >= 8000 && sampleRate <= 192000) || !(channels >= 1 && channels <= 8)) {
+    return res.status(400).json({ success: false, error: 'Invalid rate or channels' });
+  }
+
+  const remote = req.socket.remoteAddress;
+  const ingest = createIngestSource(session, {
+    type: 'http',
+    label: 'HTTP ingest',
+    inputLabel: req.query.label,
+    remote,
+    format,
+    sampleRate,
+    channels
+  });
+  let failed = false;
+
+  req.on('data', (chunk) => {
+    if (failed) return;
+    try {
+      ingest.write(chunk);
+    } catch (error) {
+      failed = true;
+      console.error(`❌ HTTP ingest from ${remote} rejected:`, error.message);
+      ingest.end();
+      // Answer now and drop the rest of the body with the connection
+      res.set('Connection', 'close').status(415).json({ success: false, error: error.message });
+    }
+  });
+  req.on('end', () => {
+    ingest.end();
+    if (failed) return;
+    res.json({
+      success: true,
+      room: session.name,
+      format: ingest.source.format,
+      receivedSeconds: Math.round(ingest.source.bytesReceived / AUDIO_BYTES_PER_MS / 100) / 10
+    });
+  });
+  req.on('close', () => ingest.end()); // Sender went away mid-stream
+});
+
+/**
+ * Put a room's captioning on hold - body: { slate } (text shown on caption displays, optional)
+ * Posting again while held changes the slate
+ */
+app.post('/hold', (req, res) => {
+  const session = getSession(req.query.room || req.body.room);
+  if (!session) {
+    return res.status(400).json({ success: false, error: 'Invalid room name' });
+  }
+  holdCaptioning(session, req.body.slate);
+  res.json({ success: true, room: session.name, ...getHoldState(session) });
+});
+
+/**
+ * Resume a held room's captioning
+ */
+app.post('/resume', (req, res) => {
+  const session = getSession(req.query.room || req.body.room);
+  if (!session) {
+    return res.status(400).json({ success: false, error: 'Invalid room name' });
+  }
+  resumeCaptioning(session);
+  res.json({ success: true, room: session.name, ...getHoldState(session) });
+});
+
+/**
+ * Serve static files (if needed)
+ */
+app.use(express.static(__dirname));
+
+// Helper function to escape HTML
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Upgrade HTTP to WebSocket
+ */
+server.on('upgrade', (request, socket, head) => {
+  const pathname = new URL(request.url, 'http://localhost').pathname;
+
+  if (pathname === '/client') {
+    wssClients.handleUpgrade(request, socket, head, (ws) => {
+      wssClients.emit('connection', ws, request);
+    });
+  } else if (pathname === '/captions') {
+    wssCaptions.handleUpgrade(request, socket, head, (ws) => {
+      wssCaptions.emit('connection', ws, request);
+    });
+  } else {
+    socket.destroy();
+  }
+});
+
+/**
+ * Handle browser client connections (mic input)
+ */
+wssClients.on('connection', (ws, request) => {
+  const session = getSession(getRoomFromUrl(request.url));
+  if (!session) {
+    ws.close(1008, 'Invalid room name');
+    return;
+  }
+  console.log(`✅ Browser client connected (mic input) to room: ${session.name}`);
+
+  // The client becomes an audio source of the room once it sends audio
+  let audioSource = null;
+  const getAudioSource = () => audioSource || (audioSource = addAudioSource(session, {
+    type: 'browser',
+    label: 'Browser (client.html)',
+    inputLabel: ws.inputLabel, // Set in the config handshake or with input_label
+    remote: request.socket.remoteAddress
+  }));
+
+  // Don't auto-connect to the speech provider - wait for user to start connection via UI
+  // Send current connection status to the new client
+  setTimeout(() => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(getProviderStatusMessage(session)));
+    }
+  }, 100);
+
+  ws.on('message', (message, isBinary) => {
+    try {
+      // Check if message is a string (JSON) or binary
+      let data;
+      if (typeof message === 'string') {
+        try {
+          data = JSON.parse(message);
+        } catch (parseError) {
+          console.warn('⚠️ Received non-JSON string message:', message.toString().substring(0, 100));
+          return; // Skip non-JSON messages
+        }
+      } else if (Buffer.isBuffer(message)) {
+        // Binary frames from clients that negotiated binary audio are raw PCM
+        if (isBinary && ws.binaryAudio) {
+          handleBinaryAudioMessage(session, getAudioSource(), message);
+          return;
+        }
+        // Text frames (and binary frames from older clients) carry JSON messages
+        try {
+          const messageStr = message.toString('utf8');
+          data = JSON.parse(messageStr);
+        } catch (parseError) {
+          if (isBinary) {
+            // Not JSON - raw PCM from a client that didn't negotiate it
+            handleBinaryAudioMessage(session, getAudioSource(), message);
+          } else if (Math.random() < 0.001) {
+            console.warn('⚠️ Received text message that is not JSON:', message.toString('utf8').substring(0, 100));
+          }
+          return;
+        }
+      } else {
+        // Try to convert to string and parse
+        try {
+          const messageStr = message.toString();
+          data = JSON.parse(messageStr);
+        } catch (parseError) {
+          console.warn('⚠️ Received unknown message type that cannot be parsed:', typeof message);
+          return;
+        }
+      }
+      
+      if (data.type === 'start_soniox') {
+        // Client requesting to start a speech provider connection
+        // (message name kept for compatibility with older client.html versions)
+        const { apiKey, sourceLanguage, targetLanguage, youtubeCaptionUrl, voskUrl } = data;
+        const translationMode = data.translationMode === 'two_way' ? 'two_way' : 'one_way';
+        const provider = data.provider || DEFAULT_SPEECH_PROVIDER;
+        // targetLanguages fans out to several languages, older clients only send targetLanguage
+        const targetLanguages = getTargetLanguages(data);
+        console.log(`🎬 Client requested to start ${provider} connection in room ${session.name}: ${sourceLanguage} → ${targetLanguages.join(', ')}`);
+        
+        // Validate inputs
+        if (!SPEECH_PROVIDERS[provider]) {
+          ws.send(JSON.stringify({
+            type: 'soniox_status',
+            status: 'error',
+            message: `Unknown speech provider: ${provider}`
+          }));
+          return;
+        }
+        if (provider === 'soniox' && (!apiKey || apiKey.trim().length === 0)) {
+          ws.send(JSON.stringify({
+            type: 'soniox_status',
+            status: 'error',
+            message: 'API key is required'
+          }));
+          return;
+        }
+        
+        // Update YouTube publisher if URL provided
+        if (youtubeCaptionUrl && youtubeCaptionUrl.trim().length > 0) {
+          session.youtubePublisher = new YouTubeCaptionPublisher(youtubeCaptionUrl.trim(), YOUTUBE_CAPTIONS_LANGUAGE);
+          console.log('📺 YouTube captions URL updated from client settings');
+          if (session.youtubePublisher.enabled) {
+            console.log('📺 YouTube captions enabled:', youtubeCaptionUrl.substring(0, 50) + '...');
+          }
+        } else {
+          // Disable YouTube captions if URL is empty
+          session.youtubePublisher = new YouTubeCaptionPublisher(null, YOUTUBE_CAPTIONS_LANGUAGE);
+          console.log('📺 YouTube captions disabled (no URL provided)');
+        }
+        
+        const providerConfig = {
+          provider,
+          apiKey: apiKey ? apiKey.trim() : '',
+          voskUrl: voskUrl && voskUrl.trim().length > 0 ? voskUrl.trim() : DEFAULT_VOSK_SERVER_URL,
+          sourceLanguage,
+          targetLanguage: targetLanguages[0] || targetLanguage,
+          targetLanguages,
+          translationMode,
+          speakerDiarization: data.speakerDiarization === true,
+          contextProfile: typeof data.contextProfile === 'string' && data.contextProfile.trim() ? data.contextProfile.trim() : null,
+          vad: data.vad === true,
+          vadThresholdDb: Number(data.vadThresholdDb),
+          vadSilenceSeconds: Number(data.vadSilenceSeconds),
+          inputMode: data.inputMode === 'separate' ? 'separate' : 'mix'
+        };
+        
+        // Close existing connection if any (properly clean up first)
+        if (session.streams.size > 0 || session.inputSessions.size > 0) {
+          console.log(`ℹ️ Closing existing ${SPEECH_PROVIDERS[session.providerConfig.provider]?.label || 'speech provider'} connection to start new one`);
+          shutdownProviderConnection(session);
+          // Wait for proper cleanup before reconnecting
+          setTimeout(() => {
+            connectToProvider(session, providerConfig);
+          }, 300);
+        } else {
+          // No existing connection, start immediately
+          connectToProvider(session, providerConfig);
+        }
+      } else if (data.type === 'stop_soniox') {
+        // Client requesting to stop the speech provider connection
+        console.log(`🛑 Client requested to stop speech provider connection in room ${session.name}`);
+        shutdownProviderConnection(session);
+      } else if (data.type === 'get_soniox_status') {
+        // Client requesting current speech provider status
+        ws.send(JSON.stringify(getProviderStatusMessage(session)));
+      } else if (data.type === 'audio') {
+        // JSON audio (older clients, or clients that can't send binary frames)
+        // Convert array of Int16 values to binary Buffer (optimized)
+        let audioData;
+        try {
+          if (data.format === 'base64') {
+            audioData = Buffer.from(data.data, 'base64');
+          } else {
+            // Direct conversion for better performance ('array' format)
+            audioData = Buffer.from(new Int16Array(data.data).buffer);
+          }
+        } catch (error) {
+          // Log errors but don't spam
+          if (Math.random() < 0.001) {
+            console.error('❌ Error processing audio:', error.message);
+          }
+          return;
+        }
+
+        // Only handle valid audio data
+        if (audioData && audioData.length > 0) {
+          handleSourceAudio(session, getAudioSource(), audioData);
+        }
+      } else if (data.type === 'config') {
+        // Client requesting configuration - clients that can send raw PCM frames ask for
+        // binary audio, older clients keep sending JSON audio messages
+        ws.binaryAudio = data.binaryAudio === true;
+        ws.inputLabel = normalizeInputLabel(data.inputLabel);
+        if (audioSource) {
+          setAudioSourceInputLabel(session, audioSource, ws.inputLabel);
+        }
+        ws.send(JSON.stringify({
+          type: 'config',
+          sampleRate: 16000,
+          channels: 1,
+          format: 'pcm_s16le',
+          binaryAudio: ws.binaryAudio // Send audio as binary frames of raw PCM
+        }));
+        if (ws.binaryAudio) {
+          console.log(`🎧 Client in room ${session.name} will send binary audio frames`);
+        }
+      } else if (data.type === 'input_label') {
+        // Client tagging its audio input ("Pulpit") - the speaker of its captions
+        ws.inputLabel = normalizeInputLabel(data.label);
+        if (audioSource) {
+          setAudioSourceInputLabel(session, audioSource, ws.inputLabel);
+        }
+      } else if (data.type === 'settings') {
+        // Forward settings to the caption displays using the profile (older clients send none: 'default')
+        const profile = normalizeDisplayProfile(data.profile);
+        if (!profile) {
+          console.warn(`⚠️ Ignoring settings for invalid display profile: ${String(data.profile).substring(0, 50)}`);
+          return;
+        }
+        session.displaySettings.set(profile, data.settings);
+        console.log(`📤 Forwarding settings to "${profile}" caption displays in room ${session.name}:`, data.settings);
+        session.captionClients.forEach(client => {
+          if (client.displayProfile === profile && client.readyState === WebSocket.OPEN) {
+            client.send(JSON.stringify({
+              type: 'settings',
+              settings: data.settings
+            }));
+          }
+        });
+      } else if (data.type === 'hold') {
+        // Put captioning on hold (or change the slate) - the provider stays connected
+        holdCaptioning(session, data.slate);
+      } else if (data.type === 'resume') {
+        resumeCaptioning(session);
+      } else if (data.type === 'clear') {
+        // Clear captions on all display clients
+        console.log(`🧹 Clearing captions on all displays in room ${session.name}`);
+        session.captionClients.forEach(client => {
+          if (client.readyState === WebSocket.OPEN) {
+            client.send(JSON.stringify({ type: 'clear' }));
+          }
+        });
+      }
+    } catch (error) {
+      // Better error logging
+      const errorMessage = error?.message || error?.toString() || 'Unknown error';
+      const errorStack = error?.stack || '';
+      console.error('❌ Error processing client message:', errorMessage);
+      if (errorStack && errorStack.length < 500) {
+        console.error('   Stack:', errorStack);
+      }
+      // Log the raw message if it's not too large
+      try {
+        const messageStr = message.toString();
+        if (messageStr.length < 200) {
+          console.error('   Raw message:', messageStr.substring(0, 200));
+        } else {
+          console.error('   Message type:', typeof message, 'length:', messageStr.length);
+        }
+      } catch (e) {
+        // Ignore errors in error logging
+      }
+    }
+  });
+
+  ws.on('close', () => {
+    console.log(`🔌 Browser client disconnected from room: ${session.name}`);
+    // Remove from client list
+    const index = session.clientWebSockets.indexOf(ws);
+    if (index > -1) {
+      session.clientWebSockets.splice(index, 1);
+    }
+    if (audioSource) {
+      removeAudioSource(session, audioSource);
+    }
+  });
+
+  ws.on('error', (error) => {
+    console.error('❌ Browser client error:', error);
+    // Remove from client list on error
+    const index = session.clientWebSockets.indexOf(ws);
+    if (index > -1) {
+      session.clientWebSockets.splice(index, 1);
+    }
+    if (audioSource) {
+      removeAudioSource(session, audioSource);
+    }
+  });
+
+  // Add to client list
+  session.clientWebSockets.push(ws);
+});
+
+/**
+ * Handle caption display connections (captions.html)
+ */
+wssCaptions.on('connection', (ws, request) => {
+  const session = getSession(getRoomFromUrl(request.url));
+  if (!session) {
+    ws.close(1008, 'Invalid room name');
+    return;
+  }
+  // Caption language this display shows (/captions?lang=ta), null = the room's primary language
+  const params = new URL(request.url, 'http://localhost').searchParams;
+  const lang = normalizeLanguageCode(params.get('lang'));
+  if (lang === null) {
+    ws.close(1008, 'Invalid language code');
+    return;
+  }
+  ws.captionLanguage = lang || null;
+  // Message format: structured JSON captions (default) or plain text for older displays (?format=text)
+  ws.captionFormat = params.get('format') === 'text' ? 'text' : 'json';
+  // Display profile whose settings this display uses (/captions?profile=stage)
+  ws.displayProfile = normalizeDisplayProfile(params.get('profile'));
+  if (!ws.displayProfile) {
+    ws.close(1008, 'Invalid display profile');
+    return;
+  }
+  console.log(`✅ Caption display connected to room: ${session.name}${ws.captionLanguage ? ` (${ws.captionLanguage})` : ''} [${ws.displayProfile}]`);
+  session.captionClients.add(ws);
+  if (session.displaySettings.has(ws.displayProfile) && ws.captionFormat === 'json') {
+    ws.send(JSON.stringify({ type: 'settings', settings: session.displaySettings.get(ws.displayProfile) }));
+  }
+  if (session.hold && ws.captionFormat === 'json') {
+    ws.send(JSON.stringify(getHoldMessage(session)));
+  }
+
+  ws.on('close', () => {
+    console.log(`🔌 Caption display disconnected from room: ${session.name}`);
+    session.captionClients.delete(ws);
+  });
+
+  ws.on('error', (error) => {
+    console.error('❌ Caption display error:', error);
+    session.captionClients.delete(ws);
+  });
+});
+
+/**
+ * Build the status message sent to browser clients for the current provider state
+ */
+function getProviderStatusMessage(session) {
+  return {
+    type: 'soniox_status', // Message type kept for compatibility with older client.html versions
+    status: session.connectionState,
+    provider: session.providerConfig.provider,
+    translationMode: session.providerConfig.translationMode,
+    speakerDiarization: session.providerConfig.speakerDiarization === true,
+    room: session.name,
+    streams: getStreamStatuses(session),
+    audioBuffer: getAudioBufferStats(session),
+    audioSources: getAudioSources(session),
+    voiceActivity: getVoiceActivityStats(session),
+    audioHealth: getAudioHealthMessage(session),
+    hold: getHoldState(session),
+    message: session.connectionState === 'connected'
+      ? `Connected (${describeProviderConfig(session.providerConfig)})`
+      : session.connectionState === 'connecting'
+      ? 'Connecting...'
+      : 'Not connected'
+  };
+}
+
+/**
+ * Per-language stream states for status messages
+ * With a stream per audio input, the input sessions' streams are listed with their input
+ */
+function getStreamStatuses(session) {
+  const streams = Array.from(session.streams.values()).map(stream => ({
+    language: stream.language,
+    status: stream.connectionState
+  }));
+  session.inputSessions.forEach(input => {
+    input.streams.forEach(stream => streams.push({
+      language: stream.language,
+      status: stream.connectionState,
+      input: getInputName(input)
+    }));
+  });
+  return streams;
+}
+
+/**
+ * Broadcast speech provider connection status to all connected clients
+ */
+function broadcastProviderStatus(session, status, message = '') {
+  if (session.room) {
+    // Input sessions report through their room, whose state combines all of its inputs
+    const room = session.room;
+    room.connectionState = room.inputSessions.size === 0 && !room.manualDisconnect
+      ? 'connected' // Started, waiting for inputs
+      : combineConnectionStates(Array.from(room.inputSessions.values()).map(input => input.connectionState));
+    broadcastProviderStatus(room, room.connectionState, message ? `[${getInputName(session)}] ${message}` : '');
+    return;
+  }
+
+  const statusMessage = JSON.stringify({
+    type: 'soniox_status',
+    status: status, // 'connecting', 'connected', 'disconnected', 'error'
+    provider: session.providerConfig.provider,
+    room: session.name,
+    streams: getStreamStatuses(session),
+    audioSources: getAudioSources(session),
+    voiceActivity: getVoiceActivityStats(session),
+    message: message
+  });
+
+  console.log(`📢 Broadcasting provider status [${session.name}]: ${status} to ${session.clientWebSockets.length} client(s)`);
+
+  // Broadcast to all browser clients
+  let sentCount = 0;
+  session.clientWebSockets.forEach(ws => {
+    if (ws.readyState === WebSocket.OPEN) {
+      try {
+        ws.send(statusMessage);
+        sentCount++;
+      } catch (err) {
+        console.error('❌ Error broadcasting status to client:', err.message);
+      }
+    }
+  });
+
+  if (sentCount === 0 && session.clientWebSockets.length > 0) {
+    console.warn('⚠️ No clients received status update (all clients may be disconnected)');
+  }
+}
+
+/**
+ * Send a message to all browser clients (operators) of a room
+ * Messages about an input session go to its room, naming the input
+ */
+function broadcastToOperators(session, message) {
+  if (session.room) {
+    broadcastToOperators(session.room, { ...message, room: session.room.name, input: getInputName(session) });
+    return;
+  }
+  const data = JSON.stringify(message);
+  session.clientWebSockets.forEach(ws => {
+    if (ws.readyState === WebSocket.OPEN) {
+      try {
+        ws.send(data);
+      } catch (err) {
+        console.error('❌ Error sending to client:', err.message);
+      }
+    }
+  });
+}
+
+/**
+ * Update a stream's state and broadcast the room's combined state
+ * The room is 'connected' only when every language stream is connected
+ */
+function setStreamState(session, stream, state, message = '') {
+  stream.connectionState = state;
+  session.connectionState = combineConnectionStates(Array.from(session.streams.values()).map(s => s.connectionState));
+
+  // Prefix messages with the stream language when fanning out to several languages
+  // (until every stream is connected, when the message describes the whole room)
+  const prefix = session.streams.size > 1 && session.connectionState !== 'connected' ? `[${stream.language}] ` : '';
+  broadcastProviderStatus(session, session.connectionState, message ? prefix + message : '');
+}
+
+/**
+ * Combined state of several streams (or input sessions)
+ */
+function combineConnectionStates(states) {
+  if (states.length === 0 || states.every(s => s === 'disconnected')) {
+    return 'disconnected';
+  } else if (states.every(s => s === 'connected')) {
+    return 'connected';
+  } else if (states.includes('error')) {
+    return 'error';
+  }
+  return 'connecting';
+}
+
+/**
+ * Gracefully shutdown all speech provider streams of a room (and of its input sessions)
+ */
+function shutdownProviderConnection(session) {
+  console.log('🛑 Shutting down speech provider connection gracefully...');
+
+  // Set flags FIRST to prevent any race conditions
+  session.manualDisconnect = true; // Mark as manual disconnect to prevent auto-reconnect
+  session.connectionState = 'disconnected';
+
+  // Stop heartbeat
+  stopHeartbeat(session);
+
+  session.streams.forEach(stream => {
+    stream.isReconnecting = false; // Reset reconnecting flag
+    stream.connectionState = 'disconnected';
+
+    // Clear reconnect timeout if any
+    if (stream.reconnectTimeout) {
+      clearTimeout(stream.reconnectTimeout);
+      stream.reconnectTimeout = null;
+    }
+
+    // Close provider connection
+    if (stream.provider) {
+      try {
+        // Close with normal closure code
+        stream.provider.close(1000, 'Manual disconnect');
+      } catch (error) {
+        console.error('❌ Error closing speech provider connection:', error);
+      }
+      // Clear the reference immediately
+      stream.provider = null;
+    }
+  });
+  session.streams.clear();
+  Array.from(session.inputSessions.keys()).forEach(sourceId => closeInputSession(session, sourceId));
+
+  // Broadcast disconnected status
+  broadcastProviderStatus(session, 'disconnected', 'Connection stopped');
+
+  console.log('✅ Speech provider connection shut down successfully');
+}
+
+/**
+ * Get the list of target languages from a provider config
+ * Accepts targetLanguages (array) and falls back to the single targetLanguage
+ */
+function getTargetLanguages(config) {
+  const languages = Array.isArray(config.targetLanguages) && config.targetLanguages.length > 0
+    ? config.targetLanguages
+    : [config.targetLanguage];
+  return Array.from(new Set(languages.filter(lang => typeof lang === 'string' && lang.trim()).map(lang => lang.trim())));
+}
+
+/**
+ * Work out the caption languages (one provider stream each) for a config
+ * Targets equal to the source (or 'none') produce a stream of original text
+ * Two-way mode uses a single stream that captions both languages
+ */
+function getStreamLanguages(config) {
+  const ProviderClass = SPEECH_PROVIDERS[config.provider];
+  if (config.translationMode === 'two_way') {
+    return [`${config.sourceLanguage}⇄${config.targetLanguage}`];
+  }
+  const languages = getTargetLanguages(config).map(lang =>
+    lang === 'none' ? config.sourceLanguage : lang
+  );
+
+  // Providers without translation can only produce the source language
+  if (!ProviderClass || !ProviderClass.supportsTranslation) {
+    return [config.sourceLanguage];
+  }
+  return Array.from(new Set(languages));
+}
+
+/**
+ * Connect a room to the configured speech provider (Soniox, Vosk, ...)
+ * Opens one provider stream per target language - the same audio is sent to each
+ */
+function connectToProvider(session, providerConfig = {}) {
+  // Use provided settings or fall back to the room's current config
+  const config = {
+    provider: providerConfig.provider || session.providerConfig.provider,
+    apiKey: providerConfig.apiKey || session.providerConfig.apiKey,
+    voskUrl: providerConfig.voskUrl || session.providerConfig.voskUrl,
+    sourceLanguage: providerConfig.sourceLanguage || session.providerConfig.sourceLanguage,
+    targetLanguage: providerConfig.targetLanguage || session.providerConfig.targetLanguage,
+    targetLanguages: providerConfig.targetLanguages || (providerConfig.targetLanguage ? null : session.providerConfig.targetLanguages),
+    translationMode: providerConfig.translationMode || session.providerConfig.translationMode || 'one_way',
+    speakerDiarization: typeof providerConfig.speakerDiarization === 'boolean'
+      ? providerConfig.speakerDiarization
+      : session.providerConfig.speakerDiarization === true,
+    contextProfile: providerConfig.contextProfile !== undefined
+      ? providerConfig.contextProfile || null
+      : session.providerConfig.contextProfile || null,
+    vad: typeof providerConfig.vad === 'boolean' ? providerConfig.vad : session.providerConfig.vad === true,
+    vadThresholdDb: Number.isFinite(providerConfig.vadThresholdDb)
+      ? Math.min(-10, Math.max(-90, providerConfig.vadThresholdDb))
+      : session.providerConfig.vadThresholdDb,
+    vadSilenceSeconds: providerConfig.vadSilenceSeconds > 0
+      ? Math.min(60, providerConfig.vadSilenceSeconds)
+      : session.providerConfig.vadSilenceSeconds,
+    inputMode: ['mix', 'separate'].includes(providerConfig.inputMode)
+      ? providerConfig.inputMode
+      : session.providerConfig.inputMode || 'mix'
+  };
+  config.targetLanguages = getTargetLanguages(config);
+  config.targetLanguage = config.targetLanguages[0];
+  if (config.translationMode === 'two_way') {
+    // Interpretation is always between exactly two languages
+    config.targetLanguages = [config.targetLanguage];
+  }
+
+  // Update current config
+  session.providerConfig = config;
+
+  // Validate API key (only cloud providers need one)
+  if (config.provider === 'soniox' && (!config.apiKey || config.apiKey.trim().length === 0)) {
+    console.error('❌ Cannot connect: No API key provided');
+    session.connectionState = 'error';
+    broadcastProviderStatus(session, 'error', 'No API key provided');
+    return;
+  }
+  if (!SPEECH_PROVIDERS[config.provider]) {
+    console.error(`❌ Cannot connect: Unknown speech provider: ${config.provider}`);
+    session.connectionState = 'error';
+    broadcastProviderStatus(session, 'error', `Unknown speech provider: ${config.provider}`);
+    return;
+  }
+  if (config.translationMode === 'two_way') {
+    let twoWayError = null;
+    if (!SPEECH_PROVIDERS[config.provider].supportsTranslation) {
+      twoWayError = `${SPEECH_PROVIDERS[config.provider].label} does not support two-way translation`;
+    } else if (config.sourceLanguage === 'auto' || config.targetLanguage === 'none' || config.sourceLanguage === config.targetLanguage) {
+      twoWayError = 'Two-way mode needs two different languages';
+    }
+    if (twoWayError) {
+      console.error(`❌ Cannot connect: ${twoWayError}`);
+      session.connectionState = 'error';
+      broadcastProviderStatus(session, 'error', twoWayError);
+      return;
+    }
+  }
+
+  const languages = getStreamLanguages(config);
+  console.log(`🔌 Connecting to ${SPEECH_PROVIDERS[config.provider].label} for room: ${session.name}...`);
+  if (config.provider === 'soniox') {
+    console.log(`   API Key: ${config.apiKey.substring(0, 10)}... (${config.apiKey.length} chars)`);
+  } else if (config.provider === 'vosk') {
+    console.log(`   Server: ${config.voskUrl}`);
+  }
+  console.log(`   Source Language: ${config.sourceLanguage}`);
+  console.log(`   Target Language(s): ${config.targetLanguages.join(', ')}`);
+  if (!SPEECH_PROVIDERS[config.provider].supportsTranslation && languages[0] !== config.targetLanguage) {
+    console.warn(`⚠️ ${SPEECH_PROVIDERS[config.provider].label} does not translate - captions will show ${config.sourceLanguage} text`);
+  }
+  if (languages.length > 1) {
+    console.log(`🌍 Fan-out: ${languages.length} provider streams (${languages.join(', ')})`);
+  }
+  if (config.speakerDiarization && !SPEECH_PROVIDERS[config.provider].supportsDiarization) {
+    console.warn(`⚠️ ${SPEECH_PROVIDERS[config.provider].label} does not support speaker diarization - captions will have no speaker labels`);
+  }
+  if (config.contextProfile && !SPEECH_PROVIDERS[config.provider].supportsContext) {
+    console.warn(`⚠️ ${SPEECH_PROVIDERS[config.provider].label} does not support context profiles - "${config.contextProfile}" is not used`);
+  }
+
+  session.manualDisconnect = false; // Reset manual disconnect flag
+  // Displays without ?lang= and YouTube use the first language (two-way mode shows both)
+  session.primaryLanguage = config.translationMode === 'two_way' ? null : languages[0];
+  session.streams.clear();
+  session.captionSegments.clear();
+  resetAudioTimeline(session);
+  if (config.inputMode === 'separate') {
+    // No streams of its own - each audio input gets its streams once it sends audio (see AUDIO INPUTS)
+    console.log(`🎚️ Room ${session.name}: separate provider streams per audio input`);
+    session.connectionState = 'connected';
+    broadcastProviderStatus(session, 'connected', `Connected (${describeProviderConfig(config)}) - waiting for audio inputs`);
+    return;
+  }
+  languages.forEach(language => {
+    session.streams.set(language, {
+      language,
+      provider: null,
+      audioOffsetMs: null, // Timeline position of the first audio sent to the current provider connection
+      sentMs: 0, // Audio sent to the current provider connection (its own clock)
+      timelineSkips: [], // { sentMs, skippedMs } - timeline audio not sent (silence) before each resume point
+      // Replay state across reconnects (timeline positions, see AUDIO BUFFER)
+      deliveredMs: 0, // End of the audio sent to the stream so far (over all connections)
+      resumeMs: 0, // Where the current connection's audio started
+      finalizedMs: null, // End of the last final word the stream has transcribed
+      finalTail: { original: '', translation: '' }, // End of the final text, for splice dedupe
+      splice: null, // Duplicate suppression after a replay
+      connections: 0, // Provider connections configured so far
+      connectionState: 'disconnected',
+      reconnectAttempts: 0,
+      reconnectTimeout: null,
+      isReconnecting: false // Prevent multiple simultaneous reconnect attempts
+    });
+  });
+  session.streams.forEach(stream => connectStream(session, stream));
+}
+
+/**
+ * Open (or reopen) the provider connection for one language stream
+ */
+function connectStream(session, stream) {
+  const config = session.providerConfig.translationMode === 'two_way'
+    ? { ...session.providerConfig }
+    : { ...session.providerConfig, targetLanguage: stream.language };
+  // The context profile is looked up on every (re)connect so profile edits are picked up
+  config.context = SPEECH_PROVIDERS[config.provider] && SPEECH_PROVIDERS[config.provider].supportsContext
+    ? getProviderContext(config.contextProfile)
+    : null;
+
+  let provider;
+  try {
+    provider = createSpeechProvider(config);
+  } catch (error) {
+    console.error('❌ Cannot connect:', error.message);
+    setStreamState(session, stream, 'error', error.message);
+    return;
+  }
+
+  setStreamState(session, stream, 'connecting', 'Establishing connection...');
+
+  // Add connection timeout (30 seconds)
+  let connectionTimeout = setTimeout(() => {
+    if (stream.provider === provider && !provider.isOpen) {
+      console.error(`❌ ${provider.label} connection timeout after 30 seconds (${stream.language})`);
+      setStreamState(session, stream, 'error', config.provider === 'soniox'
+        ? 'Connection timeout - check API key and network'
+        : 'Connection timeout - check server address and network');
+      try {
+        provider.close();
+      } catch (e) {
+        // Ignore
+      }
+      stream.provider = null;
+      // Don't auto-reconnect on timeout - let user retry
+      session.manualDisconnect = true;
+    }
+  }, 30000);
+
+  stream.provider = provider;
+  stream.audioOffsetMs = null; // The new connection's token timings start from its own first audio
+  stream.sentMs = 0;
+  stream.timelineSkips = [];
+
+  provider.on('status', (status) => {
+    if (stream.provider !== provider) return; // Stale provider (replaced or shut down)
+    if (status !== 'connected') return; // Other transitions are handled by error/close below
+
+    // Clear connection timeout
+    if (connectionTimeout) {
+      clearTimeout(connectionTimeout);
+      connectionTimeout = null;
+    }
+
+    stream.reconnectAttempts = 0;
+    setStreamState(session, stream, 'connected', `Connected (${describeProviderConfig(session.providerConfig)})`);
+    console.log(`✅ ${provider.label} ready to receive audio (${stream.language})`);
+
+    // Catch up on the audio the stream missed before live audio continues
+    replayBufferedAudio(session, stream);
+
+    // Start heartbeat to keep connection alive
+    startHeartbeat(session);
+  });
+
+  provider.onTokens((tokens) => {
+    // Ignore tokens from a provider that has been replaced or shut down
+    if (stream.provider !== provider) return;
+
+    try {
+      const sessionTokens = suppressSpliceDuplicates(stream, toSessionTimeline(stream, tokens));
+      trackStreamProgress(stream, sessionTokens);
+      handleProviderTokens(session, stream, provider, sessionTokens);
+    } catch (error) {
+      const errorMessage = error?.message || error?.toString() || 'Unknown error';
+      console.error(`❌ Error processing ${provider.label} message:`, errorMessage);
+      if (error?.stack && error.stack.length < 500) {
+        console.error('   Stack:', error.stack);
+      }
+    }
+  });
+
+  provider.on('error', (error) => {
+    // Clear connection timeout
+    if (connectionTimeout) {
+      clearTimeout(connectionTimeout);
+      connectionTimeout = null;
+    }
+
+    const errorMessage = error?.message || error?.toString() || 'Unknown error';
+    console.error(`❌ ${provider.label} connection error (${stream.language}):`, errorMessage);
+    if (error?.code) {
+      console.error('   Error code:', error.code);
+    }
+    if (error?.stack && error.stack.length < 500) {
+      console.error('   Stack:', error.stack);
+    }
+    if (stream.provider !== provider) return;
+    // Update connection state
+    setStreamState(session, stream, 'error', `Connection error: ${errorMessage}`);
+    // Don't reconnect immediately on error, let close handler do it
+  });
+
+  provider.on('close', (code, reason) => {
+    // Clear connection timeout
+    if (connectionTimeout) {
+      clearTimeout(connectionTimeout);
+      connectionTimeout = null;
+    }
+
+    const sessionDuration = provider.connectedAt ? ((Date.now() - provider.connectedAt) / 1000 / 60).toFixed(1) : 0;
+    console.log(`🔌 ${provider.label} connection closed (${stream.language}): ${code} ${reason} (Session: ${sessionDuration} min)`);
+    if (stream.provider !== provider) return;
+
+    // Update connection state
+    if (session.manualDisconnect) {
+      setStreamState(session, stream, 'disconnected', 'Connection stopped by user');
+    } else {
+      const reasonStr = reason || 'Unknown reason';
+      setStreamState(session, stream, 'disconnected', `Connection closed: ${reasonStr} (code: ${code})`);
+    }
+
+    // Only reconnect if not a normal closure (1000) or going away (1001), and not a manual disconnect
+    if (code !== 1000 && code !== 1001 && !session.manualDisconnect) {
+      scheduleReconnect(session, stream);
+    } else if (session.manualDisconnect) {
+      console.log('ℹ️ Manual disconnect - not reconnecting');
+    }
+  });
+
+  provider.connect();
+}
+
+/**
+ * Send an audio chunk to every open provider stream of a room
+ * @param {number} positionMs - Timeline position of the start of the chunk
+ * Audio that was not sent before the chunk (skipped silence) is recorded as a skip, so
+ * the provider's token timings can still be placed on the timeline
+ * Returns the number of streams the chunk was sent to
+ */
+function sendAudioToStreams(session, audioData, positionMs) {
+  let sent = 0;
+  session.streams.forEach(stream => {
+    if (stream.provider && stream.provider.sendAudio(audioData)) {
+      if (stream.audioOffsetMs === null) {
+        stream.audioOffsetMs = positionMs;
+      }
+      const skippedMs = positionMs - stream.audioOffsetMs - stream.sentMs;
+      const lastSkip = stream.timelineSkips[stream.timelineSkips.length - 1];
+      if (skippedMs >= 1 && (!lastSkip || skippedMs - lastSkip.skippedMs >= 1)) {
+        stream.timelineSkips.push({ sentMs: stream.sentMs, skippedMs });
+      }
+      stream.sentMs += audioData.length / AUDIO_BYTES_PER_MS;
+      stream.deliveredMs = positionMs + audioData.length / AUDIO_BYTES_PER_MS;
+      sent++;
+    }
+  });
+  return sent;
+}
+
+/**
+ * Handle an audio chunk received for a room
+ * Forwards it to the speech provider with minimal delay, or schedules a reconnect if
+ * no provider stream is open. Every chunk advances the room's audio timeline, is
+ * kept in the ring buffer for replay after a reconnect and is written to the archive.
+ * Long silences are not forwarded when voice activity detection is on, and nothing is
+ * forwarded while captioning is on hold.
+ */
+function handleIncomingAudio(session, audioData) {
+  const positionMs = advanceAudioTimeline(session, audioData.length);
+  bufferAudioChunk(session, audioData, positionMs);
+  archiveAudioChunk(session, audioData, positionMs);
+
+  // Allow audio to be sent as long as connection is open, even if config not yet confirmed
+  // Providers buffer audio while waiting for configuration
+  const openStreams = Array.from(session.streams.values()).filter(stream => stream.provider && stream.provider.isOpen);
+  if (openStreams.length === 0) {
+    // Connection lost, log once
+    if (Math.random() < 0.001) {
+      console.warn('⚠️ Cannot send audio - speech provider not connected (buffering for replay)');
+    }
+    // Attempt reconnection (only if not manual disconnect, and not while a connection is being set up)
+    session.streams.forEach(stream => {
+      if (!session.manualDisconnect && !stream.reconnectTimeout && stream.connectionState !== 'connecting') {
+        scheduleReconnect(session, stream);
+      }
+    });
+    return;
+  }
+
+  if (getCaptionRoom(session).hold) {
+    // Captioning on hold - nothing is forwarded, but the provider session is kept open
+    keepProvidersAlive(session, openStreams, positionMs + audioData.length / AUDIO_BYTES_PER_MS);
+    return;
+  }
+
+  const chunks = applyVoiceActivityDetection(session, audioData, positionMs);
+  if (chunks.length === 0) {
+    // Silence - nothing to forward, but the provider session is kept open
+    keepProvidersAlive(session, openStreams, positionMs + audioData.length / AUDIO_BYTES_PER_MS);
+    return;
+  }
+
+  try {
+    let sent = 0;
+    chunks.forEach(chunk => {
+      sent = sendAudioToStreams(session, chunk.data, chunk.positionMs);
+    });
+    session.lastAudioSentTime = Date.now();
+
+    // Log occasionally for debugging (every ~100 chunks)
+    if (Math.random() < 0.01) {
+      console.log(`📤 Sending audio chunk to ${openStreams[0].provider.label} (${sent} stream(s)): ${audioData.length} bytes`);
+    }
+  } catch (error) {
+    // Log errors but don't spam
+    if (Math.random() < 0.001) {
+      console.error('❌ Error sending audio:', error.message);
+    }
+    // If connection issue, attempt reconnection
+    if (error.code === 'ECONNRESET' || error.message.includes('not open')) {
+      session.streams.forEach(stream => scheduleReconnect(session, stream));
+    }
+  }
+}
+
+/**
+ * Handle a binary audio frame from a browser client (raw 16 kHz mono s16le PCM)
+ */
+function handleBinaryAudioMessage(session, source, message) {
+  if (message.length === 0) return;
+  if (message.length % 2 !== 0) {
+    // Not whole 16-bit samples - dropping the frame keeps the sample alignment
+    if (Math.random() < 0.01) {
+      console.warn(`⚠️ Dropped binary audio frame with odd length: ${message.length} bytes`);
+    }
+    return;
+  }
+  handleSourceAudio(session, source, message);
+}
 
-            // Smart autoscroll state
-            let isUserScrolling = false;
-            let autoScrollEnabled = true;
-            let scrollTimeout;
+// ===== AUDIO SOURCES & NETWORK INGEST =====
 
-            // Initialize time offset on load
-            function initTimeOffset() {
-              // Get first caption timestamp
-              const firstCaption = document.querySelector('.caption-item');
-              if (firstCaption) {
-                firstCaptionTimestamp = firstCaption.getAttribute('data-timestamp');
-                
-                // Load start time from localStorage if available
-                const savedStartTime = localStorage.getItem('transcriptStartTime');
-                if (savedStartTime) {
-                  startTimeValue = savedStartTime;
-                  document.getElementById('startTime').value = savedStartTime;
-                }
-                
-                // If offset exists, apply it and update indicator
-                if (timeOffsetMs !== 0) {
-                  updateTimeOffsetIndicator();
-                  applyStoredOffset();
-                }
-              }
-            }
+// Audio reaches a room from browser clients (client.html) or from non-browser sources
+// such as ffmpeg on the sound desk, over a TCP port or a chunked HTTP POST /ingest.
+// Ingested audio may be raw PCM or WAV at any rate; it is converted to 16 kHz mono
+// s16le and fed into the same pipeline as browser audio. Any source can be tagged
+// with an input label ("Pulpit"), which becomes the speaker of its captions.
 
-            // Apply time offset
-            function applyTimeOffset() {
-              const startTimeInput = document.getElementById('startTime').value;
-              if (!startTimeInput) {
-                alert('Please select a start time');
-                return;
-              }
+const INGEST_SAMPLE_RATE = 16000;
+const INGEST_FRAME_BYTES = 3200; // Ingested audio is forwarded in frames of up to 100 ms
+const MAX_WAV_HEADER_BYTES = 1024 * 1024; // Chunks before "data" (fmt, LIST, bext, ...) are buffered up to this
+const INGEST_TCP_PORTS = parseIngestTcpPorts(process.env.INGEST_TCP_PORTS); // port → { room, inputLabel }
+const ingestTcpServers = [];
 
-              if (!firstCaptionTimestamp) {
-                alert('No captions available');
-                return;
-              }
+/**
+ * Register an audio source of a room and broadcast the room's sources
+ */
+function addAudioSource(session, source) {
+  source.id = ++session.lastAudioSourceId;
+  source.inputLabel = normalizeInputLabel(source.inputLabel);
+  source.connectedAt = new Date().toISOString();
+  source.bytesReceived = 0;
+  source.lastAudioAt = 0;
+  source.health = createAudioHealth();
+  session.audioSources.set(source.id, source);
+  console.log(`🎙️ Audio source connected to room ${session.name}: ${source.label}${source.inputLabel ? ` "${source.inputLabel}"` : ''}${source.remote ? ` from ${source.remote}` : ''}`);
+  broadcastAudioSources(session);
+  return source;
+}
 
-              // Parse the input time (HH:MM:SS)
-              const [hours, minutes, seconds] = startTimeInput.split(':').map(Number);
-              
-              // Create target time using today's date
-              const targetDate = new Date();
-              targetDate.setHours(hours, minutes, seconds || 0, 0);
-              const targetMs = targetDate.getTime();
+/**
+ * Remove an audio source from its room (safe to call more than once)
+ */
+function removeAudioSource(session, source) {
+  if (!session.audioSources.delete(source.id)) return;
+  console.log(`🎙️ Audio source disconnected from room ${session.name}: ${source.label} (${(source.bytesReceived / AUDIO_BYTES_PER_MS / 1000).toFixed(1)}s of audio)`);
+  session.mixQueues.delete(source.id);
+  closeInputSession(session, source.id);
+  broadcastAudioSources(session);
+}
 
-              // Get first caption's actual timestamp
-              const firstCaptionDate = new Date(firstCaptionTimestamp);
-              const firstCaptionMs = firstCaptionDate.getTime();
+/**
+ * Normalize an input label ("Pulpit", "Translator"), null for none
+ */
+function normalizeInputLabel(label) {
+  if (typeof label !== 'string') return null;
+  return label.replace(/\s+/g, ' ').trim().substring(0, 40) || null;
+}
 
-              // Calculate offset
-              timeOffsetMs = targetMs - firstCaptionMs;
+/**
+ * Change the input label of a source (its captions from now on are spoken by the new label)
+ */
+function setAudioSourceInputLabel(session, source, label) {
+  const inputLabel = normalizeInputLabel(label);
+  if (source.inputLabel === inputLabel) return;
+  console.log(`🏷️ Audio source ${source.label} in room ${session.name} is now ${inputLabel ? `"${inputLabel}"` : 'untagged'}`);
+  source.inputLabel = inputLabel;
+  const input = session.inputSessions.get(source.id);
+  if (input) {
+    input.inputLabel = inputLabel;
+  }
+  broadcastAudioSources(session);
+}
 
-              // Save to localStorage
-              localStorage.setItem('transcriptTimeOffset', timeOffsetMs);
-              localStorage.setItem('transcriptStartTime', startTimeInput); // Store the start time string
+/**
+ * Audio sources of a room for status messages
+ */
+function getAudioSources(session) {
+  return Array.from(session.audioSources.values()).map(source => ({
+    id: source.id,
+    type: source.type, // 'browser', 'tcp' or 'http'
+    label: source.label,
+    inputLabel: source.inputLabel, // Speaker of the source's captions (null: untagged)
+    remote: source.remote || null,
+    format: source.format || null,
+    connectedAt: source.connectedAt,
+    receivedSeconds: Math.round(source.bytesReceived / AUDIO_BYTES_PER_MS / 100) / 10,
+    active: Date.now() - source.lastAudioAt < 5000 // Sent audio in the last few seconds
+  }));
+}
 
-              // Store start time value
-              startTimeValue = startTimeInput;
+function broadcastAudioSources(session) {
+  broadcastToOperators(session, {
+    type: 'audio_sources',
+    room: session.name,
+    sources: getAudioSources(session)
+  });
+}
 
-              // Apply to all captions
-              applyOffsetToAllCaptions();
-              updateTimeOffsetIndicator();
-            }
+/**
+ * Feed 16 kHz mono s16le audio from a source into its room's pipeline
+ * Sources are mixed into the room's audio, or each feed their own input session when the
+ * room runs a provider stream per input (see AUDIO INPUTS)
+ */
+function handleSourceAudio(session, source, audioData) {
+  measureSourceAudio(session, source, audioData);
+  const wasActive = Date.now() - source.lastAudioAt < 5000;
+  source.bytesReceived += audioData.length;
+  source.lastAudioAt = Date.now();
+  if (!wasActive) {
+    broadcastAudioSources(session); // Source (re)started sending
+  }
+  if (session.providerConfig.inputMode === 'separate' && !session.manualDisconnect) {
+    handleIncomingAudio(getInputSession(session, source), audioData);
+  } else {
+    mixSourceAudio(session, source, audioData);
+  }
+}
 
-            // Reset time offset
-            function resetTimeOffset() {
-              timeOffsetMs = 0;
-              startTimeValue = '';
-              localStorage.removeItem('transcriptTimeOffset');
-              localStorage.removeItem('transcriptStartTime');
-              document.getElementById('startTime').value = '';
-              
-              // Restore all original times
-              const captions = document.querySelectorAll('.caption-item');
-              captions.forEach(caption => {
-                const originalTimestamp = caption.getAttribute('data-timestamp');
-                if (originalTimestamp) {
-                  const date = new Date(originalTimestamp);
-                  const timeSpan = caption.querySelector('.caption-time .time');
-                  const dateSpan = caption.querySelector('.caption-time .date');
-                  if (timeSpan) timeSpan.textContent = date.toLocaleTimeString();
-                  if (dateSpan) dateSpan.textContent = date.toLocaleDateString();
-                }
-              });
+/**
+ * Parse INGEST_TCP_PORTS ("5050", or "5050:main,5051:chapel:Translator") into
+ * port → { room, inputLabel }
+ */
+function parseIngestTcpPorts(value) {
+  const ports = new Map();
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [portText, roomText, ...labelParts] = entry.split(':');
+    const port = parseInt(portText, 10);
+    const room = normalizeRoomName(roomText);
+    if (!port || port < 1 || port > 65535 || !room) {
+      console.warn(`⚠️ Ignoring invalid INGEST_TCP_PORTS entry: ${entry}`);
+      return;
+    }
+    ports.set(port, { room, inputLabel: normalizeInputLabel(labelParts.join(':')) });
+  });
+  return ports;
+}
 
-              // Hide indicator
-              const indicator = document.getElementById('timeOffsetIndicator');
-              indicator.classList.remove('active');
-              indicator.textContent = '';
-            }
+/**
+ * Converts an incoming audio byte stream (raw PCM or WAV) to 16 kHz mono s16le
+ * WAV is detected by its RIFF header, which gives the sample format; raw PCM uses the
+ * format it was announced with (16 kHz mono s16le by default, which passes through).
+ * Other rates are resampled (windowed-sinc low-pass + linear interpolation).
+ */
+class AudioStreamDecoder {
+  constructor({ format = 'auto', sampleRate = INGEST_SAMPLE_RATE, channels = 1 } = {}) {
+    this.format = format; // 'auto' (detect WAV), 'wav' or 'pcm'
+    this.container = format === 'pcm' ? 'PCM' : null; // Known once the header has been seen
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.bitsPerSample = 16;
+    this.floatSamples = false;
+    this.pending = Buffer.alloc(0); // Bytes not decoded yet (incomplete header or sample frame)
+    this.resampler = null;
+  }
 
-            // Apply offset to all captions
-            function applyOffsetToAllCaptions() {
-              const captions = document.querySelectorAll('.caption-item');
-              captions.forEach(caption => {
-                const originalTimestamp = caption.getAttribute('data-timestamp');
-                if (originalTimestamp) {
-                  const originalDate = new Date(originalTimestamp);
-                  const adjustedDate = new Date(originalDate.getTime() + timeOffsetMs);
-                  
-                  const timeSpan = caption.querySelector('.caption-time .time');
-                  const dateSpan = caption.querySelector('.caption-time .date');
-                  if (timeSpan) timeSpan.textContent = adjustedDate.toLocaleTimeString();
-                  if (dateSpan) dateSpan.textContent = adjustedDate.toLocaleDateString();
-                }
-              });
-            }
+  /** Human-readable input format, e.g. "WAV 48000 Hz stereo 24-bit" */
+  get description() {
+    if (!this.container) return 'detecting...';
+    const channels = this.channels === 1 ? 'mono' : this.channels === 2 ? 'stereo' : `${this.channels} ch`;
+    return `${this.container} ${this.sampleRate} Hz ${channels} ${this.bitsPerSample}-bit${this.floatSamples ? ' float' : ''}`;
+  }
 
-            // Apply stored offset on page load
-            function applyStoredOffset() {
-              if (timeOffsetMs !== 0) {
-                applyOffsetToAllCaptions();
-              }
-            }
+  /**
+   * Decode a chunk - returns 16 kHz mono s16le PCM (possibly empty)
+   * Throws on input that isn't supported
+   */
+  decode(chunk) {
+    this.pending = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    if (!this.container && !this.parseHeader()) {
+      return Buffer.alloc(0); // Header not complete yet
+    }
+
+    const frameBytes = this.channels * this.bitsPerSample / 8;
+    const usable = this.pending.length - (this.pending.length % frameBytes);
+    const data = this.pending.subarray(0, usable);
+    this.pending = Buffer.from(this.pending.subarray(usable)); // Copy - the source buffer may be reused
+    if (data.length === 0) return Buffer.alloc(0);
+
+    if (this.sampleRate === INGEST_SAMPLE_RATE && this.channels === 1 && this.bitsPerSample === 16 && !this.floatSamples) {
+      return Buffer.from(data); // Already the pipeline format
+    }
+    return this.convert(data, frameBytes);
+  }
+
+  /**
+   * Detect and parse a WAV header at the start of the stream
+   * Returns false if more bytes are needed; throws once more than MAX_WAV_HEADER_BYTES
+   * arrive without the "data" chunk (a corrupt or oversized chunk would be buffered forever)
+   */
+  parseHeader() {
+    const complete = this.parseWavHeader();
+    if (!complete && this.pending.length > MAX_WAV_HEADER_BYTES) {
+      throw new Error('WAV header too large (no data chunk in the first 1 MB)');
+    }
+    return complete;
+  }
+
+  parseWavHeader() {
+    const buffer = this.pending;
+    const signature = buffer.toString('latin1', 0, Math.min(4, buffer.length));
+    if (this.format !== 'wav' && !'RIFF'.startsWith(signature)) {
+      this.container = 'PCM'; // Can't be a WAV header - raw PCM
+      return true;
+    }
+    if (buffer.length < 12) return false;
+    if (signature !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+      if (this.format === 'wav') throw new Error('Not a WAV stream (no RIFF/WAVE header)');
+      this.container = 'PCM';
+      return true;
+    }
+
+    // Walk the chunks up to "data" (its size is ignored - streamed WAV often has 0 or 0xFFFFFFFF)
+    let offset = 12;
+    let hasFormat = false;
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('latin1', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      if (id === 'data') {
+        if (!hasFormat) throw new Error('WAV data chunk before fmt chunk');
+        this.pending = buffer.subarray(offset + 8);
+        this.container = 'WAV';
+        return true;
+      }
+      if (offset + 8 + size > buffer.length) return false;
+      if (id === 'fmt ') {
+        let audioFormat = buffer.readUInt16LE(offset + 8);
+        this.channels = buffer.readUInt16LE(offset + 10);
+        this.sampleRate = buffer.readUInt32LE(offset + 12);
+        this.bitsPerSample = buffer.readUInt16LE(offset + 22);
+        if (audioFormat === 0xFFFE && size >= 26) {
+          audioFormat = buffer.readUInt16LE(offset + 32); // WAVE_FORMAT_EXTENSIBLE sub-format
+        }
+        this.floatSamples = audioFormat === 3;
+        const supported = (audioFormat === 1 && [16, 24, 32].includes(this.bitsPerSample)) ||
+                          (audioFormat === 3 && this.bitsPerSample === 32);
+        if (!supported || this.channels < 1 || this.sampleRate < 8000) {
+          throw new Error(`Unsupported WAV format (format ${audioFormat}, ${this.bitsPerSample}-bit, ${this.sampleRate} Hz, ${this.channels} ch) - use 16/24/32-bit PCM or 32-bit float`);
+        }
+        hasFormat = true;
+      }
+      offset += 8 + size + (size % 2); // Chunks are word aligned
+    }
+    return false;
+  }
+
+  /**
+   * Read one sample as a float in [-1, 1]
+   */
+  readSample(data, offset) {
+    if (this.floatSamples) return data.readFloatLE(offset);
+    switch (this.bitsPerSample) {
+      case 24: return data.readIntLE(offset, 3) / 0x800000;
+      case 32: return data.readInt32LE(offset) / 0x80000000;
+      default: return data.readInt16LE(offset) / 0x8000;
+    }
+  }
+
+  /**
+   * Downmix and resample whole sample frames to 16 kHz mono s16le
+   */
+  convert(data, frameBytes) {
+    if (!this.resampler) {
+      this.resampler = createResampler(this.sampleRate, INGEST_SAMPLE_RATE);
+    }
+    const bytesPerSample = this.bitsPerSample / 8;
+    const frames = data.length / frameBytes;
+    const mono = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+      let sample = 0;
+      for (let c = 0; c < this.channels; c++) {
+        sample += this.readSample(data, i * frameBytes + c * bytesPerSample);
+      }
+      mono[i] = sample / this.channels;
+    }
+    const output = this.resampler(mono);
+    const pcm = Buffer.alloc(output.length * 2);
+    output.forEach((sample, i) => {
+      const clamped = Math.max(-1, Math.min(1, sample));
+      pcm.writeInt16LE(Math.round(clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF), i * 2);
+    });
+    return pcm;
+  }
+}
+
+/**
+ * Start a network ingest source for a room
+ * Returns { source, write(chunk), end() } - write() throws on unsupported input
+ */
+function createIngestSource(session, { type, label, inputLabel, remote, format, sampleRate, channels }) {
+  const decoder = new AudioStreamDecoder({ format, sampleRate, channels });
+  const source = addAudioSource(session, { type, label, inputLabel, remote, format: decoder.description });
+
+  return {
+    source,
+    write(chunk) {
+      const pcm = decoder.decode(chunk);
+      if (source.format !== decoder.description) {
+        source.format = decoder.description;
+        console.log(`🎚️ ${source.label} format: ${source.format}`);
+        broadcastAudioSources(session);
+      }
+      for (let offset = 0; offset < pcm.length; offset += INGEST_FRAME_BYTES) {
+        handleSourceAudio(session, source, pcm.subarray(offset, offset + INGEST_FRAME_BYTES));
+      }
+    },
+    end() {
+      removeAudioSource(session, source);
+    }
+  };
+}
+
+/**
+ * Listen for raw PCM / WAV audio on the TCP ports in INGEST_TCP_PORTS
+ * e.g. ffmpeg -i <input> -ac 1 -ar 16000 -f s16le tcp://<server>:5050
+ */
+function startIngestTcpServers() {
+  INGEST_TCP_PORTS.forEach(({ room, inputLabel }, port) => {
+    const tcpServer = net.createServer(socket => {
+      const session = getSession(room);
+      const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+      const ingest = createIngestSource(session, { type: 'tcp', label: `TCP ingest :${port}`, inputLabel, remote });
+
+      socket.on('data', (chunk) => {
+        try {
+          ingest.write(chunk);
+        } catch (error) {
+          console.error(`❌ TCP ingest from ${remote} rejected:`, error.message);
+          socket.destroy();
+        }
+      });
+      socket.on('error', (error) => {
+        console.error(`❌ TCP ingest connection error (${remote}):`, error.message);
+      });
+      socket.on('close', () => ingest.end());
+    });
+
+    tcpServer.on('error', (error) => {
+      console.error(`❌ TCP audio ingest on port ${port} failed:`, error.message);
+    });
+    tcpServer.listen(port, () => {
+      console.log(`🎚️ TCP audio ingest: port ${port} → room ${room}${inputLabel ? ` ("${inputLabel}")` : ''}`);
+    });
+    ingestTcpServers.push(tcpServer);
+  });
+}
+
+// ===== AUDIO INPUTS =====
+
+// A room can take several audio inputs at once - the pulpit mic from one client.html,
+// the translator mic from another, a sound desk feed over TCP. The operator chooses
+// how they are captioned (providerConfig.inputMode):
+//   mix      - inputs are summed into the room's audio and captioned by its streams;
+//              captions are spoken by the label of the loudest tagged input
+//   separate - each input gets an input session: a session of its own (provider streams,
+//              audio timeline, VAD, archive file) whose captions go to the room, spoken
+//              by the input's label
+// Mixing keeps inputs in step by holding each input's audio until the others have sent
+// theirs, but never more than MIX_MAX_LAG_MS behind the input that is furthest ahead.
+
+const MIX_MAX_LAG_MS = 500;
+const MIX_IDLE_MS = 1000; // An input that sent nothing for this long no longer holds the mix back
+const INPUT_ACTIVITY_GAP_MS = 1000; // Merge activity of the same input across short pauses
+const INPUT_ACTIVITY_KEEP_MS = 300000; // Captions are published long before this
+
+/**
+ * The room a session captions - itself, or the room of an input session
+ */
+function getCaptionRoom(session) {
+  return session.room || session;
+}
+
+/**
+ * A room and its input sessions
+ */
+function getRoomSessions(room) {
+  return [room, ...room.inputSessions.values()];
+}
+
+/**
+ * Name of an input session in status messages and logs
+ */
+function getInputName(input) {
+  return input.inputLabel || input.inputKey;
+}
+
+/**
+ * Get (or start) the input session of an audio source, with its own provider streams
+ */
+function getInputSession(room, source) {
+  let input = room.inputSessions.get(source.id);
+  if (input) return input;
+
+  const slug = (source.inputLabel || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 20);
+  const inputKey = slug || `input${source.id}`;
+  input = createSession(`${room.name}/${inputKey}`, room);
+  input.inputLabel = source.inputLabel;
+  input.inputKey = inputKey;
+  input.primaryLanguage = room.primaryLanguage;
+  room.inputSessions.set(source.id, input);
+  console.log(`🎚️ Starting provider streams for input "${getInputName(input)}" in room ${room.name}`);
+  connectToProvider(input, { ...room.providerConfig, inputMode: 'mix' });
+  return input;
+}
+
+/**
+ * Stop the input session of an audio source (source gone, or the room stopped)
+ */
+function closeInputSession(room, sourceId) {
+  const input = room.inputSessions.get(sourceId);
+  if (!input) return;
+  room.inputSessions.delete(sourceId);
+  flushCaptionSegments(input);
+  shutdownProviderConnection(input);
+  closeAudioArchiveFile(input);
+}
+
+/**
+ * Add a source's audio to the room's mix, and feed the room the audio all of its
+ * inputs have sent (a single input passes straight through)
+ */
+function mixSourceAudio(session, source, audioData) {
+  const now = Date.now();
+  let queue = session.mixQueues.get(source.id);
+  if (!queue) {
+    queue = { source, data: Buffer.alloc(0), lastAudioTime: 0 };
+    session.mixQueues.set(source.id, queue);
+  }
+  queue.data = queue.data.length > 0 ? Buffer.concat([queue.data, audioData]) : audioData;
+  queue.lastAudioTime = now;
+
+  // Inputs that stopped sending leave the mix once their audio is used up
+  session.mixQueues.forEach((q, id) => {
+    if (q.data.length === 0 && now - q.lastAudioTime > MIX_IDLE_MS) {
+      session.mixQueues.delete(id);
+    }
+  });
+  const queues = Array.from(session.mixQueues.values());
+  const waitingFor = queues.filter(q => now - q.lastAudioTime <= MIX_IDLE_MS).map(q => q.data.length);
+  const longest = Math.max(...queues.map(q => q.data.length));
+  let mixBytes = Math.max(Math.min(...waitingFor), longest - MIX_MAX_LAG_MS * AUDIO_BYTES_PER_MS);
+  mixBytes -= mixBytes % 2;
+  if (mixBytes <= 0) return;
+
+  const parts = queues.map(q => {
+    const part = q.data.subarray(0, mixBytes);
+    q.data = q.data.subarray(part.length);
+    return { source: q.source, data: part };
+  });
+  trackInputActivity(session, parts, mixBytes);
+  handleIncomingAudio(session, mixPcm(parts.map(part => part.data), mixBytes));
+}
+
+/**
+ * Sum 16-bit PCM chunks (shorter ones are padded with silence), clipping at full scale
+ */
+function mixPcm(chunks, byteLength) {
+  const audible = chunks.filter(chunk => chunk.length > 0);
+  if (audible.length === 1 && audible[0].length === byteLength) return audible[0];
+  const mixed = Buffer.alloc(byteLength);
+  for (let offset = 0; offset < byteLength; offset += 2) {
+    let sum = 0;
+    audible.forEach(chunk => {
+      if (offset < chunk.length) sum += chunk.readInt16LE(offset);
+    });
+    mixed.writeInt16LE(Math.max(-32768, Math.min(32767, sum)), offset);
+  }
+  return mixed;
+}
+
+/**
+ * Record which input was speaking in a mixed chunk (the loudest input above the speech
+ * threshold, or the only input), so captions can be attributed to its label
+ */
+function trackInputActivity(session, parts, byteLength) {
+  const audible = parts.filter(part => part.data.length > 0);
+  if (!audible.some(part => part.source.inputLabel)) return; // No tagged inputs
+
+  let speaking = null;
+  if (audible.length === 1) {
+    speaking = audible[0];
+  } else {
+    let loudestDb = session.providerConfig.vadThresholdDb;
+    audible.forEach(part => {
+      const levelDb = getAudioLevelDb(part.data);
+      if (levelDb >= loudestDb) {
+        loudestDb = levelDb;
+        speaking = part;
+      }
+    });
+  }
+  if (!speaking) return;
+
+  // The chunk is next on the room's timeline
+  const startMs = session.audioReceivedBytes / AUDIO_BYTES_PER_MS;
+  const endMs = startMs + byteLength / AUDIO_BYTES_PER_MS;
+  const label = speaking.source.inputLabel; // null for an untagged input
+  const activity = session.inputActivity;
+  const last = activity[activity.length - 1];
+  if (last && last.label === label && startMs - last.endMs <= INPUT_ACTIVITY_GAP_MS) {
+    last.endMs = endMs;
+  } else {
+    activity.push({ startMs, endMs, label });
+  }
+  while (activity.length > 0 && activity[0].endMs < startMs - INPUT_ACTIVITY_KEEP_MS) {
+    activity.shift();
+  }
+}
+
+/**
+ * Input label a caption was spoken by: the input of an input session, or the input
+ * that was speaking most of the caption's audio in a mix (null if untagged or unknown)
+ */
+function getInputLabelAt(session, startMs, endMs) {
+  if (session.room) return session.inputLabel;
+  if (typeof startMs !== 'number' || session.inputActivity.length === 0) return null;
+  const end = Math.max(typeof endMs === 'number' ? endMs : startMs, startMs + 1);
+  const overlaps = new Map();
+  session.inputActivity.forEach(activity => {
+    const overlapMs = Math.min(end, activity.endMs) - Math.max(startMs, activity.startMs);
+    if (overlapMs > 0) {
+      overlaps.set(activity.label, (overlaps.get(activity.label) || 0) + overlapMs);
+    }
+  });
+  let label = null;
+  let longest = 0;
+  overlaps.forEach((overlapMs, activityLabel) => {
+    if (overlapMs > longest) {
+      longest = overlapMs;
+      label = activityLabel;
+    }
+  });
+  return label;
+}
+
+// ===== FILE TRANSCRIPTION =====
+
+// Recorded services can be subtitled after the fact: an uploaded WAV or raw PCM file
+// is decoded to 16 kHz mono and streamed through the speech provider at faster than
+// real time into a new room, so its captions get audio-relative timings and the usual
+// transcript page and TXT/CSV/JSON/SRT exports work on it.
+
+const FILE_TRANSCRIPTION_SPEED = Math.max(1, Number(process.env.FILE_TRANSCRIPTION_SPEED) || 4); // × real time
+const FILE_FRAME_MS = 100;
+const FILE_FINISH_TIMEOUT = 30000; // Wait this long for the provider's last results
+// Decoded audio (16 kHz mono s16le) is kept in memory while it is transcribed - larger
+// uploads are refused. Default 400 MB, about 3.6 hours.
+const MAX_TRANSCRIBE_BYTES = (Number(process.env.MAX_TRANSCRIBE_MB) || 400) * 1024 * 1024;
+const FILE_JOB_RETENTION = 60 * 60 * 1000; // Finished jobs are listed for an hour
+const transcriptionJobs = new Map(); // id → job
+let lastTranscriptionJobId = 0;
+const reservedFileRooms = new Set(); // Rooms picked for uploads that are still being received
+
+/**
+ * Pick a room name for a file transcript that has no transcript yet
+ * Uses the requested name, or one made from the file name ("file-sunday-service").
+ * The caller reserves the name in reservedFileRooms until the job's session exists,
+ * so overlapping uploads never get the same room.
+ */
+function getFileTranscriptRoom(requestedRoom, fileName) {
+  const isFree = (room) => !sessions.has(room) && !reservedFileRooms.has(room) && !fs.existsSync(getCaptionsLogFile(room));
+  if (requestedRoom) {
+    const room = normalizeRoomName(requestedRoom);
+    if (!room) throw new Error('Invalid room name');
+    if (room === DEFAULT_ROOM || !isFree(room)) throw new Error(`Room "${room}" already has a transcript - pick another name`);
+    return room;
+  }
+  const base = ('file-' + String(fileName || 'upload').replace(/\.[^.]*$/, '').toLowerCase())
+    .replace(/[^a-z0-9_-]+/g, '-').replace(/-+$/, '').substring(0, 34);
+  for (let n = 1; ; n++) {
+    const room = n === 1 ? base : `${base}-${n}`;
+    if (isFree(room)) return room;
+  }
+}
 
-            // Update time offset indicator
-            function updateTimeOffsetIndicator() {
-              const indicator = document.getElementById('timeOffsetIndicator');
-              if (timeOffsetMs !== 0) {
-                const offsetHours = Math.floor(Math.abs(timeOffsetMs) / 3600000);
-                const offsetMinutes = Math.floor((Math.abs(timeOffsetMs) % 3600000) / 60000);
-                const offsetSeconds = Math.floor((Math.abs(timeOffsetMs) % 60000) / 1000);
-                const sign = timeOffsetMs >= 0 ? '+' : '-';
-                
-                let offsetStr = '';
-                if (offsetHours > 0) offsetStr += \`\${offsetHours}h \`;
-                if (offsetMinutes > 0) offsetStr += \`\${offsetMinutes}m \`;
-                if (offsetSeconds > 0 || offsetStr === '') offsetStr += \`\${offsetSeconds}s\`;
-                
-                indicator.textContent = \` (Time adjusted: \${sign}\${offsetStr})\`;
-                indicator.classList.add('active');
-              } else {
-                indicator.classList.remove('active');
-                indicator.textContent = '';
-              }
-            }
+/**
+ * Public view of a transcription job for the progress display
+ */
+function describeTranscriptionJob(job) {
+  return {
+    id: job.id,
+    room: job.room,
+    fileName: job.fileName,
+    format: job.format,
+    status: job.status, // 'connecting', 'transcribing', 'finishing', 'done', 'error'
+    durationMs: job.durationMs,
+    processedMs: job.processedMs,
+    progress: job.durationMs > 0 ? Math.min(1, job.processedMs / job.durationMs) : 0,
+    speed: FILE_TRANSCRIPTION_SPEED,
+    error: job.error,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
 
-            // Detect if user is at bottom of page
-            function isAtBottom() {
-              const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-              const windowHeight = window.innerHeight;
-              const documentHeight = document.documentElement.scrollHeight;
-              return (documentHeight - (scrollTop + windowHeight)) < 100; // Within 100px of bottom
-            }
+/**
+ * Stream a decoded file (16 kHz mono s16le chunks) through the provider into the job's room
+ * Audio is paced at FILE_TRANSCRIPTION_SPEED and waits while the provider (re)connects;
+ * chunks are released as they are sent
+ */
+function runTranscriptionJob(job, chunks, providerConfig) {
+  const session = getSession(job.room);
+  connectToProvider(session, providerConfig);
+  if (session.connectionState === 'error') {
+    failTranscriptionJob(job, session, 'Could not start the speech provider - check its settings in client.html');
+    return;
+  }
+  console.log(`📁 Transcribing ${job.fileName} (${(job.durationMs / 1000).toFixed(1)}s) into room ${job.room} at ${FILE_TRANSCRIPTION_SPEED}× real time`);
+
+  const frameBytes = FILE_FRAME_MS * AUDIO_BYTES_PER_MS;
+  let offset = 0; // Audio sent so far
+  let chunkIndex = 0;
+  let chunkOffset = 0;
+  const nextFrame = () => {
+    const parts = [];
+    let needed = frameBytes;
+    while (needed > 0 && chunkIndex < chunks.length) {
+      const chunk = chunks[chunkIndex];
+      const part = chunk.subarray(chunkOffset, chunkOffset + needed);
+      parts.push(part);
+      needed -= part.length;
+      chunkOffset += part.length;
+      if (chunkOffset >= chunk.length) {
+        chunks[chunkIndex++] = null;
+        chunkOffset = 0;
+      }
+    }
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts);
+  };
+  const tick = () => {
+    if (session.connectionState === 'error' || (session.manualDisconnect && job.status !== 'finishing')) {
+      failTranscriptionJob(job, session, 'Speech provider connection failed');
+      return;
+    }
+    if (session.connectionState === 'connected') {
+      job.status = 'transcribing';
+      const frame = nextFrame();
+      handleIncomingAudio(session, frame);
+      offset += frame.length;
+      job.processedMs = Math.min(job.durationMs, offset / AUDIO_BYTES_PER_MS);
+    }
+    if (chunkIndex < chunks.length) {
+      job.timer = setTimeout(tick, FILE_FRAME_MS / FILE_TRANSCRIPTION_SPEED);
+    } else {
+      finishTranscriptionJob(job, session);
+    }
+  };
+  tick();
+}
 
-            // Smart scroll: only autoscroll if user is at bottom
-            function smartScroll() {
-              if (autoScrollEnabled && isAtBottom()) {
-                window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
-              }
-            }
+/**
+ * End of the file - let the provider flush its last results, then close the room
+ */
+function finishTranscriptionJob(job, session) {
+  job.status = 'finishing';
+  session.manualDisconnect = true; // The provider closes when done - don't reconnect
+  session.streams.forEach(stream => {
+    if (stream.provider) stream.provider.finish();
+  });
 
-            // Track user scrolling
-            window.addEventListener('scroll', () => {
-              clearTimeout(scrollTimeout);
-              
-              // Check if user scrolled away from bottom
-              if (!isAtBottom()) {
-                autoScrollEnabled = false;
-              } else {
-                // User scrolled back to bottom, re-enable autoscroll
-                autoScrollEnabled = true;
-              }
-              
-              // Mark as user scrolling
-              isUserScrolling = true;
-              scrollTimeout = setTimeout(() => {
-                isUserScrolling = false;
-              }, 150);
-            });
+  const startedAt = Date.now();
+  const waitForProvider = () => {
+    const open = Array.from(session.streams.values()).some(stream => stream.provider && stream.provider.isOpen);
+    if (open && Date.now() - startedAt < FILE_FINISH_TIMEOUT) {
+      job.timer = setTimeout(waitForProvider, 250);
+      return;
+    }
+    flushCaptionSegments(session);
+    job.processedMs = job.durationMs;
+    job.status = 'done';
+    endTranscriptionJob(job, session);
+    console.log(`✅ File transcription done: ${job.fileName} → /transcript?room=${job.room}`);
+  };
+  waitForProvider();
+}
 
-            // Handle export dropdown
-            document.getElementById('exportFormat').addEventListener('change', function(e) {
-              const value = e.target.value;
-              if (!value) return;
+function failTranscriptionJob(job, session, error) {
+  clearTimeout(job.timer);
+  job.status = 'error';
+  job.error = error;
+  endTranscriptionJob(job, session);
+  console.error(`❌ File transcription failed (${job.fileName}): ${error}`);
+}
 
-              let url;
-              switch(value) {
-                case 'txt-with':
-                  url = '/transcript?format=txt&timestamp=true';
-                  if (timeOffsetMs !== 0) url += '&offset=' + timeOffsetMs;
-                  break;
-                case 'txt-without':
-                  url = '/transcript?format=txt&timestamp=false';
-                  break;
-                case 'csv-with':
-                  url = '/transcript?format=csv&timestamp=true';
-                  if (timeOffsetMs !== 0) url += '&offset=' + timeOffsetMs;
-                  break;
-                case 'csv-without':
-                  url = '/transcript?format=csv&timestamp=false';
-                  break;
-                case 'json':
-                  url = '/transcript?format=json';
-                  if (timeOffsetMs !== 0) url += '&offset=' + timeOffsetMs;
-                  break;
-                case 'srt':
-                  url = '/transcript?format=srt';
-                  // Include time offset if set
-                  if (timeOffsetMs !== 0) {
-                    url += '&offset=' + timeOffsetMs;
-                  }
-                  // Include start time if set (for SRT base time)
-                  if (startTimeValue) {
-                    url += '&startTime=' + encodeURIComponent(startTimeValue);
-                  }
-                  break;
-              }
+/**
+ * A job is done or failed - stop its provider and recording, close its room if nothing
+ * is attached to it, and forget the job after FILE_JOB_RETENTION
+ */
+function endTranscriptionJob(job, session) {
+  job.finishedAt = new Date().toISOString();
+  shutdownProviderConnection(session);
+  closeAudioArchiveFile(session);
+  closeFileTranscriptRoom(session);
+  setTimeout(() => {
+    transcriptionJobs.delete(job.id);
+    closeFileTranscriptRoom(session);
+  }, FILE_JOB_RETENTION).unref();
+}
 
-              if (url) {
-                window.location.href = url;
-              }
+/**
+ * Drop a file transcript's room once no display, transcript page, client or audio source
+ * uses it (the transcript stays on disk, and the room is opened again if it is used).
+ * A room that is still in use stays open like any other room.
+ */
+function closeFileTranscriptRoom(session) {
+  if (sessions.get(session.name) !== session) return;
+  if (session.captionClients.size > 0 || session.transcriptSSEClients.size > 0 ||
+      session.clientWebSockets.length > 0 || session.audioSources.size > 0) return;
+  session.captionsStream.end();
+  sessions.delete(session.name);
+}
 
-              // Reset dropdown
-              setTimeout(() => e.target.value = '', 100);
-            });
+// ===== AUDIO TIMELINE =====
 
-            function scrollToBottom() {
-              autoScrollEnabled = true;
-              window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
-            }
+// Provider token timings are relative to the start of each provider connection, which
+// restarts at 0 on every reconnect. Captions are instead placed on the room's audio
+// timeline: the audio received since the provider was started, anchored to the
+// wall-clock time of its first chunk, so they line up with a recording of the service.
 
-            function clearCaptions() {
-              if (confirm('Are you sure you want to clear all captions? This will delete the entire caption history and cannot be undone.')) {
-                fetch('/transcript/clear', { method: 'POST' })
-                  .then(res => res.json())
-                  .then(data => {
-                    alert(data.message);
-                    location.reload();
-                  })
-                  .catch(err => alert('Error clearing captions: ' + err.message));
-              }
-            }
+const AUDIO_BYTES_PER_MS = 32; // 16 kHz * 1 channel * 2 bytes
 
-            // Inline editing functionality
-            function editCaption(button) {
-              const captionItem = button.closest('.caption-item');
-              const captionText = captionItem.querySelector('.caption-text');
-              const originalText = captionText.getAttribute('data-original');
-              
-              // Don't allow multiple edits at once
-              if (document.querySelector('.caption-item.editing')) {
-                alert('Please finish editing the current caption first.');
-                return;
-              }
-              
-              captionItem.classList.add('editing');
-              captionText.contentEditable = true;
-              captionText.focus();
-              
-              // Select all text
-              const range = document.createRange();
-              range.selectNodeContents(captionText);
-              const selection = window.getSelection();
-              selection.removeAllRanges();
-              selection.addRange(range);
-              
-              // Create action buttons
-              const actionsDiv = document.createElement('div');
-              actionsDiv.className = 'edit-actions';
-              actionsDiv.innerHTML = \`
-                <button class="cancel-btn" onclick="cancelEdit(this)">❌ Cancel</button>
-                <button class="save-btn" onclick="saveEdit(this)">💾 Save</button>
-              \`;
-              captionItem.appendChild(actionsDiv);
-              
-              // Hide edit button
-              button.style.display = 'none';
-            }
+/**
+ * Start a new audio timeline - positions restart at 0 with the next audio chunk
+ */
+function resetAudioTimeline(session) {
+  session.audioAnchor = null;
+  session.audioReceivedBytes = 0;
+  session.audioBuffer = [];
+  session.audioBufferBytes = 0;
+  session.audioRecoveredMs = 0;
+  session.audioLostMs = 0;
+  closeAudioArchiveFile(session);
+  session.audioArchiveFiles = [];
+  session.voiceState = 'speech';
+  session.silenceMs = 0;
+  session.silencePreroll = [];
+  session.silenceSkippedMs = 0;
+  session.inputActivity = [];
+}
 
-            function cancelEdit(button) {
-              const captionItem = button.closest('.caption-item');
-              const captionText = captionItem.querySelector('.caption-text');
-              const originalText = captionText.getAttribute('data-original');
-              
-              // Restore original text (decode HTML entities)
-              const textarea = document.createElement('textarea');
-              textarea.innerHTML = originalText;
-              captionText.textContent = textarea.value;
-              
-              captionText.contentEditable = false;
-              captionItem.classList.remove('editing');
-              
-              // Remove action buttons
-              captionItem.querySelector('.edit-actions').remove();
-              
-              // Show edit button again
-              captionItem.querySelector('.edit-btn').style.display = '';
-            }
+/**
+ * Advance a room's audio timeline by a received chunk (forwarded or not)
+ * Returns the timeline position (ms) of the start of the chunk
+ */
+function advanceAudioTimeline(session, byteLength) {
+  if (!session.audioAnchor) {
+    // The chunk has just been captured - the timeline began one chunk ago
+    session.audioAnchor = new Date(Date.now() - byteLength / AUDIO_BYTES_PER_MS).toISOString();
+  }
+  const positionMs = Math.round(session.audioReceivedBytes / AUDIO_BYTES_PER_MS);
+  session.audioReceivedBytes += byteLength;
+  return positionMs;
+}
 
-            function saveEdit(button) {
-              const captionItem = button.closest('.caption-item');
-              const captionText = captionItem.querySelector('.caption-text');
-              const newText = captionText.textContent.trim();
-              const timestamp = captionItem.getAttribute('data-timestamp');
-              
-              if (!newText) {
-                alert('Caption cannot be empty');
-                return;
-              }
-              
-              // Disable buttons during save
-              button.disabled = true;
-              button.textContent = '⏳ Saving...';
-              
-              // Send update to server
-              fetch('/transcript/edit', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ timestamp, newText })
-              })
-              .then(res => res.json())
-              .then(data => {
-                if (data.success) {
-                  // Update successful
-                  captionText.contentEditable = false;
-                  captionItem.classList.remove('editing');
-                  captionItem.classList.add('edited');
-                  
-                  // Update data-original
-                  captionText.setAttribute('data-original', newText.replace(/"/g, '&quot;'));
-                  
-                  // Add edited indicator if not already present
-                  if (!captionItem.querySelector('.edited-indicator')) {
-                    const timeDiv = captionItem.querySelector('.caption-time');
-                    const indicator = document.createElement('span');
-                    indicator.className = 'edited-indicator';
-                    indicator.textContent = 'EDITED';
-                    indicator.title = 'This caption has been manually edited';
-                    timeDiv.appendChild(indicator);
-                  }
-                  
-                  // Remove action buttons
-                  captionItem.querySelector('.edit-actions').remove();
-                  
-                  // Show edit button again
-                  captionItem.querySelector('.edit-btn').style.display = '';
-                } else {
-                  alert('Failed to save: ' + (data.error || 'Unknown error'));
-                  button.disabled = false;
-                  button.textContent = '💾 Save';
-                }
-              })
-              .catch(err => {
-                alert('Error saving caption: ' + err.message);
-                button.disabled = false;
-                button.textContent = '💾 Save';
-              });
-            }
+/**
+ * Move token timings from a provider connection's clock onto the room's audio timeline
+ * Timings are dropped if it is unknown where the connection's audio started
+ */
+function toSessionTimeline(stream, tokens) {
+  if (!tokens) return tokens;
+  const toTimeline = (ms) => {
+    if (stream.audioOffsetMs === null || typeof ms !== 'number') return null;
+    // Add the silence skipped before this point of the connection's audio
+    const skip = stream.timelineSkips.filter(s => s.sentMs <= ms).pop();
+    return ms + stream.audioOffsetMs + (skip ? skip.skippedMs : 0);
+  };
+  return tokens.map(token => ({
+    ...token,
+    startMs: toTimeline(token.startMs),
+    endMs: toTimeline(token.endMs)
+  }));
+}
 
-            // Auto-scroll to bottom on load
-            setTimeout(scrollToBottom, 100);
+// ===== VOICE ACTIVITY DETECTION =====
 
-            // Real-time updates via Server-Sent Events
-            const eventSource = new EventSource('/transcript/stream');
+// With VAD on, a room stops forwarding audio to the provider once it has been below
+// the speech threshold (vadThresholdDb) for vadSilenceSeconds - worship music pauses,
+// silent prayer - and resumes with the first chunk of speech, together with the last
+// VAD_PREROLL_MS of silence so the first syllable is not cut off. The provider session
+// stays open (keepAlive) and the skipped audio still advances the room's timeline, so
+// caption timings are unaffected. Operators see the speech/silence state and the
+// audio seconds saved.
 
-            eventSource.onmessage = function(event) {
-              const caption = JSON.parse(event.data);
-              const container = document.getElementById('captionsContainer');
+const VAD_PREROLL_MS = 500;
+const VAD_KEEPALIVE_INTERVAL = 5000; // Keep idle provider sessions alive this often
+const VAD_STATUS_INTERVAL = 10000; // Update operators on the seconds saved during long silences
 
-              // Set first caption timestamp if not set
-              if (!firstCaptionTimestamp) {
-                firstCaptionTimestamp = caption.timestamp;
-              }
+/**
+ * Level of a 16-bit PCM chunk in dBFS (RMS, -Infinity for digital silence)
+ */
+function getAudioLevelDb(audioData) {
+  const sampleCount = Math.floor(audioData.length / 2);
+  if (sampleCount === 0) return -Infinity;
+  let sumOfSquares = 0;
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = audioData.readInt16LE(i * 2);
+    sumOfSquares += sample * sample;
+  }
+  const rms = Math.sqrt(sumOfSquares / sampleCount) / 32768;
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
 
-              // Remove "no captions" message if present
-              const noCaptions = container.querySelector('.no-captions');
-              if (noCaptions) {
-                noCaptions.remove();
-              }
+/**
+ * Decide which audio to forward for a received chunk
+ * Returns the chunks to send, oldest first: the chunk itself while speaking, nothing
+ * during a long silence, and the preroll plus the chunk when speech resumes
+ */
+function applyVoiceActivityDetection(session, audioData, positionMs) {
+  const chunk = { positionMs, data: audioData };
+  const config = session.providerConfig;
+  if (!config.vad) return [chunk];
+
+  const chunkMs = audioData.length / AUDIO_BYTES_PER_MS;
+  const isSpeech = getAudioLevelDb(audioData) >= config.vadThresholdDb;
+  session.silenceMs = isSpeech ? 0 : session.silenceMs + chunkMs;
+
+  if (session.voiceState === 'silence') {
+    if (isSpeech) {
+      // Speech again - resume instantly, starting with the audio just before it
+      const chunks = [...session.silencePreroll, chunk];
+      session.silencePreroll = [];
+      setVoiceState(session, 'speech');
+      return chunks;
+    }
+    keepSilencePreroll(session, chunk);
+    return [];
+  }
 
-              // Apply time offset if set
-              const originalDate = new Date(caption.timestamp);
-              const adjustedDate = new Date(originalDate.getTime() + timeOffsetMs);
-              const time = adjustedDate.toLocaleTimeString();
-              const date = adjustedDate.toLocaleDateString();
+  if (session.silenceMs >= config.vadSilenceSeconds * 1000) {
+    // Long silence - stop forwarding from this chunk on
+    setVoiceState(session, 'silence');
+    keepSilencePreroll(session, chunk);
+    return [];
+  }
+  return [chunk];
+}
 
-              const captionDiv = document.createElement('div');
-              captionDiv.className = 'caption-item';
-              captionDiv.setAttribute('data-timestamp', caption.timestamp); // Store original timestamp
-              captionDiv.innerHTML = \`
-                <div class="caption-header">
-                  <div class="caption-time">
-                    <span class="date">\${date}</span>
-                    <span class="time">\${time}</span>
-                  </div>
-                  <button class="edit-btn" onclick="editCaption(this)" title="Edit caption">✏️</button>
-                </div>
-                <div class="caption-text" data-original="\${caption.text.replace(/"/g, '&quot;')}">\${caption.text}</div>
-              \`;
+/**
+ * Keep the latest skipped audio for the next resume, counting older audio as saved
+ */
+function keepSilencePreroll(session, chunk) {
+  session.silencePreroll.push(chunk);
+  let prerollMs = session.silencePreroll.reduce((total, c) => total + c.data.length / AUDIO_BYTES_PER_MS, 0);
+  while (session.silencePreroll.length > 1 && prerollMs > VAD_PREROLL_MS) {
+    const skippedMs = session.silencePreroll.shift().data.length / AUDIO_BYTES_PER_MS;
+    prerollMs -= skippedMs;
+    session.silenceSkippedMs += skippedMs;
+  }
+}
 
-              container.appendChild(captionDiv);
+/**
+ * Keep the room's provider sessions open during a silence, and report the audio saved
+ * @param {number} deliveredMs - Timeline position up to which the streams are up to date
+ */
+function keepProvidersAlive(session, openStreams, deliveredMs) {
+  // Skipped silence needs no replay if the connection drops
+  openStreams.forEach(stream => {
+    stream.deliveredMs = deliveredMs;
+  });
+  const now = Date.now();
+  if (now - session.lastKeepAliveTime < VAD_KEEPALIVE_INTERVAL) return;
+  const previousKeepAlive = session.lastKeepAliveTime;
+  session.lastKeepAliveTime = now;
+  openStreams.forEach(stream => stream.provider.keepAlive());
+  if (Math.floor(now / VAD_STATUS_INTERVAL) !== Math.floor(previousKeepAlive / VAD_STATUS_INTERVAL)) {
+    broadcastVoiceActivity(session);
+  }
+}
 
-              // Smart auto-scroll to new caption (only if user is at bottom)
-              smartScroll();
+/**
+ * Switch a room between forwarding (speech) and skipping (silence) audio
+ */
+function setVoiceState(session, state) {
+  if (session.voiceState === state) return;
+  session.voiceState = state;
+  const saved = (session.silenceSkippedMs / 1000).toFixed(1);
+  if (state === 'silence') {
+    console.log(`🤫 Silence in room ${session.name} - pausing audio to the provider (${saved}s saved so far)`);
+  } else {
+    console.log(`🗣️ Speech in room ${session.name} - resuming audio to the provider (${saved}s saved so far)`);
+  }
+  broadcastVoiceActivity(session);
+}
 
-              // Update stats
-              const stats = document.querySelector('.stats');
-              const match = stats.textContent.match(/Showing ([\\d,]+) of ([\\d,]+)/);
-              if (match) {
-                const newTotal = parseInt(match[2].replace(/,/g, '')) + 1;
-                const newShowing = parseInt(match[1].replace(/,/g, '')) + 1;
-                stats.textContent = \`Showing \${newShowing.toLocaleString()} of \${newTotal.toLocaleString()} captions\`;
-              }
-            };
+/**
+ * VAD state of a room for status messages
+ */
+function getVoiceActivityStats(session) {
+  return {
+    enabled: session.providerConfig.vad === true,
+    state: session.voiceState,
+    savedMs: Math.round(session.silenceSkippedMs),
+    thresholdDb: session.providerConfig.vadThresholdDb,
+    silenceSeconds: session.providerConfig.vadSilenceSeconds
+  };
+}
 
-            eventSource.onerror = function(err) {
-              console.error('SSE Error:', err);
-              // Reconnection is automatic
-            };
+function broadcastVoiceActivity(session) {
+  broadcastToOperators(session, { type: 'voice_activity', room: session.name, ...getVoiceActivityStats(session) });
+}
 
-            // Initialize time offset on page load
-            window.addEventListener('DOMContentLoaded', initTimeOffset);
-            // Also call immediately in case DOMContentLoaded already fired
-            if (document.readyState === 'loading') {
-              document.addEventListener('DOMContentLoaded', initTimeOffset);
-            } else {
-              initTimeOffset();
-            }
-          </script>
-        </body>
-      </html>
-    `;
+// ===== AUDIO HEALTH =====
+
+// The server measures the audio of every source as it arrives - level (RMS), peak and
+// clipped samples, dropouts (gaps in the stream) and the data rate against the expected
+// 32 kB/s - and sends the metrics to the room's operator pages every second. Problems an
+// operator should act on raise alarms, shown on every operator page until they clear:
+// no audio while the provider is connected, only silence, clipping, dropouts and a wrong
+// data rate (e.g. 48 kHz audio announced as 16 kHz).
+
+const AUDIO_HEALTH_INTERVAL = 1000;
+const AUDIO_EXPECTED_BYTES_PER_SECOND = AUDIO_BYTES_PER_MS * 1000;
+const AUDIO_RATE_WINDOW_SECONDS = 5; // Data rate is averaged over this long
+const AUDIO_RATE_TOLERANCE = 0.1; // Alarm when the rate is more than 10% off
+const AUDIO_DROPOUT_MS = 500; // Audio arriving this much later than real time is a dropout
+const AUDIO_SOURCE_IDLE_MS = 5000; // Longer gaps mean the source stopped sending (not a dropout)
+const AUDIO_CLIP_LEVEL = 32700; // Samples this close to full scale are clipped
+const AUDIO_CLIPPING_RATIO = 0.001; // Alarm when more than 0.1% of a second's samples clip
+const AUDIO_SILENCE_FLOOR_DB = -60; // Quieter audio is silence (a muted or unplugged input)
+const AUDIO_ALARM_SILENCE_SECONDS = Number(process.env.AUDIO_ALARM_SILENCE_SECONDS) > 0
+  ? Number(process.env.AUDIO_ALARM_SILENCE_SECONDS)
+  : 30;
+const AUDIO_ALARM_HOLD_MS = 5000; // Clipping and dropout alarms stay up this long after the last one
 
-    res.send(html);
-  });
-});
+/**
+ * Health state of a new audio source
+ */
+function createAudioHealth() {
+  return {
+    // Measurements since the last report
+    bytes: 0,
+    sumOfSquares: 0,
+    samples: 0,
+    peak: 0,
+    clipped: 0,
+    rateWindow: [], // Bytes received per report, newest last (AUDIO_RATE_WINDOW_SECONDS)
+    realTimeEnd: 0, // When the audio received so far would have finished playing in real time
+    dropouts: 0,
+    lastDropoutTime: 0,
+    lastClippingTime: 0,
+    lastSoundTime: Date.now(), // Last audio above the silence floor
+    metrics: null // Last report (see reportSourceHealth)
+  };
+}
 
 /**
- * Clear captions endpoint
+ * Measure a chunk of a source's audio (16 kHz mono s16le)
  */
-app.post('/transcript/clear', (req, res) => {
-  fs.writeFile(CAPTIONS_LOG_FILE, '', (err) => {
-    if (err) {
-      logger.error('Failed to clear captions:', err.message);
-      return res.status(500).json({ error: 'Failed to clear captions', message: err.message });
+function measureSourceAudio(session, source, audioData) {
+  const health = source.health;
+  const now = Date.now();
+  const chunkMs = audioData.length / AUDIO_BYTES_PER_MS;
+
+  // Audio is expected to arrive at real time (early is fine - network sources send bursts)
+  const lateMs = now - health.realTimeEnd;
+  if (health.realTimeEnd > 0 && lateMs > AUDIO_DROPOUT_MS && now - source.lastAudioAt < AUDIO_SOURCE_IDLE_MS) {
+    health.dropouts++;
+    health.lastDropoutTime = now;
+    if (Math.random() < 0.1) {
+      console.warn(`⚠️ Audio dropout from ${source.inputLabel || source.label} in room ${session.name}: ${(lateMs / 1000).toFixed(1)}s gap`);
     }
-    // Also clear in-memory history
-    captionHistory.length = 0;
-    logger.info('Captions cleared by user');
-    res.json({ message: 'All captions cleared successfully' });
-  });
-});
+  }
+  health.realTimeEnd = Math.max(health.realTimeEnd, now) + chunkMs;
+
+  let sumOfSquares = 0;
+  let peak = health.peak;
+  let clipped = 0;
+  const sampleCount = Math.floor(audioData.length / 2);
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = audioData.readInt16LE(i * 2);
+    const magnitude = Math.abs(sample);
+    sumOfSquares += sample * sample;
+    if (magnitude > peak) peak = magnitude;
+    if (magnitude >= AUDIO_CLIP_LEVEL) clipped++;
+  }
+  health.bytes += audioData.length;
+  health.sumOfSquares += sumOfSquares;
+  health.samples += sampleCount;
+  health.peak = peak;
+  health.clipped += clipped;
+  if (sampleCount > 0 && toDb(Math.sqrt(sumOfSquares / sampleCount)) >= AUDIO_SILENCE_FLOOR_DB) {
+    health.lastSoundTime = now;
+  }
+  session.lastSourceAudioTime = now;
+}
 
 /**
- * Edit caption endpoint
+ * dBFS of a 16-bit sample magnitude (null for digital silence)
  */
-app.post('/transcript/edit', (req, res) => {
-  const { timestamp, newText } = req.body;
-  
-  if (!timestamp || !newText) {
-    return res.status(400).json({ success: false, error: 'Missing timestamp or newText' });
+function toDb(magnitude) {
+  return magnitude > 0 ? Math.round(20 * Math.log10(magnitude / 32768) * 10) / 10 : null;
+}
+
+/**
+ * Turn a source's measurements since the last report into its metrics, and start anew
+ */
+function reportSourceHealth(source) {
+  const health = source.health;
+  health.rateWindow.push(health.bytes);
+  if (health.rateWindow.length > AUDIO_RATE_WINDOW_SECONDS) health.rateWindow.shift();
+  const clippedRatio = health.samples > 0 ? health.clipped / health.samples : 0;
+  if (clippedRatio > AUDIO_CLIPPING_RATIO) {
+    health.lastClippingTime = Date.now();
   }
-  
-  // Read the captions file
-  fs.readFile(CAPTIONS_LOG_FILE, 'utf8', (err, data) => {
-    if (err) {
-      logger.error('Failed to read captions for edit:', err.message);
-      return res.status(500).json({ success: false, error: 'Failed to read captions file' });
+
+  health.metrics = {
+    id: source.id,
+    label: source.label,
+    inputLabel: source.inputLabel,
+    active: Date.now() - source.lastAudioAt < AUDIO_SOURCE_IDLE_MS,
+    rmsDb: health.samples > 0 ? toDb(Math.sqrt(health.sumOfSquares / health.samples)) : null,
+    peakDb: health.samples > 0 ? toDb(health.peak) : null,
+    clippedPercent: Math.round(clippedRatio * 10000) / 100,
+    // Full rate window only - a source that just started has no meaningful rate yet
+    bytesPerSecond: health.rateWindow.length === AUDIO_RATE_WINDOW_SECONDS
+      ? Math.round(health.rateWindow.reduce((total, bytes) => total + bytes, 0) / AUDIO_RATE_WINDOW_SECONDS)
+      : null,
+    expectedBytesPerSecond: AUDIO_EXPECTED_BYTES_PER_SECOND,
+    dropouts: health.dropouts,
+    silentSeconds: Math.floor((Date.now() - health.lastSoundTime) / 1000)
+  };
+  health.bytes = 0;
+  health.sumOfSquares = 0;
+  health.samples = 0;
+  health.peak = 0;
+  health.clipped = 0;
+  return health.metrics;
+}
+
+/**
+ * Work out which alarms a room should have up from its sources' latest metrics
+ * Returns alarm id → { severity, message }
+ */
+function getActiveAudioAlarms(session) {
+  const now = Date.now();
+  const alarms = new Map();
+  const connected = session.connectionState === 'connected';
+
+  if (connected) {
+    // Audio fed without a source (file transcription) counts once it is sent
+    const silentMs = now - Math.max(session.lastSourceAudioTime, session.lastAudioSentTime, session.connectedSince);
+    if (silentMs >= AUDIO_ALARM_SILENCE_SECONDS * 1000) {
+      alarms.set('no-audio', {
+        severity: 'error',
+        message: `No audio for ${Math.floor(silentMs / 1000)} s while connected`
+      });
     }
-    
-    // Parse and update the caption
-    const lines = data.split('\n').filter(line => line.trim());
-    let updated = false;
-    const updatedLines = lines.map(line => {
-      const parts = line.split('\t');
-      if (parts[0] === timestamp) {
-        updated = true;
-        logger.info(`Caption edited: "${parts.slice(1).join('\t')}" → "${newText}"`);
-        return `${timestamp}\t${newText}`;
+  }
+
+  session.audioSources.forEach(source => {
+    const metrics = source.health.metrics;
+    if (!metrics || !metrics.active) return;
+    const name = source.inputLabel || source.label;
+    if (connected && metrics.silentSeconds >= AUDIO_ALARM_SILENCE_SECONDS) {
+      alarms.set(`silence:${source.id}`, {
+        severity: 'warning',
+        message: `${name}: only silence for ${metrics.silentSeconds} s (muted or unplugged?)`
+      });
+    }
+    if (now - source.health.lastClippingTime < AUDIO_ALARM_HOLD_MS) {
+      alarms.set(`clipping:${source.id}`, {
+        severity: 'warning',
+        message: `${name}: input clipping - turn the gain down`
+      });
+    }
+    if (now - source.health.lastDropoutTime < AUDIO_ALARM_HOLD_MS) {
+      alarms.set(`dropouts:${source.id}`, {
+        severity: 'warning',
+        message: `${name}: audio dropouts (${metrics.dropouts} so far)`
+      });
+    }
+    if (metrics.bytesPerSecond !== null &&
+        Math.abs(metrics.bytesPerSecond / AUDIO_EXPECTED_BYTES_PER_SECOND - 1) > AUDIO_RATE_TOLERANCE) {
+      alarms.set(`rate:${source.id}`, {
+        severity: 'warning',
+        message: `${name}: receiving ${(metrics.bytesPerSecond / 1000).toFixed(1)} kB/s, expected ${AUDIO_EXPECTED_BYTES_PER_SECOND / 1000} kB/s`
+      });
+    }
+  });
+  return alarms;
+}
+
+/**
+ * Raise new alarms, clear resolved ones and keep the messages of the rest up to date
+ */
+function updateAudioAlarms(session) {
+  const active = getActiveAudioAlarms(session);
+  session.audioAlarms.forEach((alarm, id) => {
+    if (!active.has(id)) {
+      session.audioAlarms.delete(id);
+      console.log(`✅ Audio alarm cleared [${session.name}]: ${alarm.message}`);
+    }
+  });
+  active.forEach((alarm, id) => {
+    const existing = session.audioAlarms.get(id);
+    if (existing) {
+      existing.message = alarm.message;
+      return;
+    }
+    session.audioAlarms.set(id, { id, ...alarm, since: new Date().toISOString() });
+    console.warn(`🚨 Audio alarm [${session.name}]: ${alarm.message}`);
+  });
+}
+
+/**
+ * Alarms that are up in a room, oldest first
+ */
+function getAudioAlarms(session) {
+  return Array.from(session.audioAlarms.values());
+}
+
+/**
+ * Audio health of a room for operator pages
+ */
+function getAudioHealthMessage(session) {
+  return {
+    type: 'audio_health',
+    room: session.name,
+    sources: Array.from(session.audioSources.values()).map(source => source.health.metrics).filter(Boolean),
+    alarms: getAudioAlarms(session)
+  };
+}
+
+/**
+ * Report every room's audio health each second
+ */
+function startAudioHealthMonitor() {
+  setInterval(() => {
+    sessions.forEach(session => {
+      if (session.connectionState !== 'connected') {
+        session.connectedSince = 0;
+      } else if (!session.connectedSince) {
+        session.connectedSince = Date.now();
       }
-      return line;
+      session.audioSources.forEach(reportSourceHealth);
+      updateAudioAlarms(session);
+      broadcastToOperators(session, getAudioHealthMessage(session));
     });
-    
-    if (!updated) {
-      return res.status(404).json({ success: false, error: 'Caption not found' });
+  }, AUDIO_HEALTH_INTERVAL);
+}
+
+// ===== AUDIO ARCHIVE =====
+
+// With AUDIO_ARCHIVE=true the audio each room receives (16 kHz mono s16le, forwarded
+// or not) is written to WAV files in audio-archive/<room>/, starting a new file every
+// AUDIO_ARCHIVE_SEGMENT_MINUTES of audio and with every new audio timeline (rooms with
+// a provider stream per audio input archive each input, named after it). A .json
+// file next to each WAV records the timeline anchor and position it starts at, and
+// captions name the file they were spoken in (audioFile in captions.log), so a
+// disputed caption can be played back from the transcript page. Files older than
+// AUDIO_ARCHIVE_RETENTION_DAYS, and the oldest files over AUDIO_ARCHIVE_MAX_GB, are deleted.
+
+const AUDIO_ARCHIVE_ENABLED = process.env.AUDIO_ARCHIVE === 'true';
+const AUDIO_ARCHIVE_DIR = path.resolve(__dirname, process.env.AUDIO_ARCHIVE_DIR || 'audio-archive');
+const AUDIO_ARCHIVE_SEGMENT_MS = (Number(process.env.AUDIO_ARCHIVE_SEGMENT_MINUTES) > 0
+  ? Number(process.env.AUDIO_ARCHIVE_SEGMENT_MINUTES)
+  : 30) * 60000;
+const AUDIO_ARCHIVE_RETENTION_DAYS = process.env.AUDIO_ARCHIVE_RETENTION_DAYS !== undefined
+  ? Math.max(0, Number(process.env.AUDIO_ARCHIVE_RETENTION_DAYS) || 0)
+  : 30; // 0 keeps files until the size cap is reached
+const AUDIO_ARCHIVE_MAX_GB = process.env.AUDIO_ARCHIVE_MAX_GB !== undefined
+  ? Math.max(0, Number(process.env.AUDIO_ARCHIVE_MAX_GB) || 0)
+  : 20; // 0 means no size cap
+const AUDIO_ARCHIVE_PRUNE_INTERVAL = 3600000; // Apply the retention policy hourly (and on every new file)
+const AUDIO_ARCHIVE_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z(-[a-z0-9-]+)?\.wav$/; // ...Z[-input][-n].wav
+const WAV_HEADER_BYTES = 44;
+
+/**
+ * Directory of a room's archived audio
+ */
+function getAudioArchiveDir(room) {
+  return path.join(AUDIO_ARCHIVE_DIR, room);
+}
+
+/**
+ * Header of a 16 kHz mono 16-bit PCM WAV file holding dataBytes of audio
+ */
+function createWavHeader(dataBytes) {
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(INGEST_SAMPLE_RATE, 24);
+  header.writeUInt32LE(INGEST_SAMPLE_RATE * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+/**
+ * Write a WAV file's header sizes from its length on disk
+ * Files still being recorded (or cut off by a crash) have no sizes in their header yet
+ */
+function updateWavHeaderSizes(filePath, callback) {
+  fs.open(filePath, 'r+', (err, fd) => {
+    if (err) return callback(err);
+    fs.fstat(fd, (err, stats) => {
+      if (err) return fs.close(fd, () => callback(err));
+      const dataBytes = Math.max(0, stats.size - WAV_HEADER_BYTES);
+      const header = createWavHeader(dataBytes - dataBytes % 2);
+      fs.write(fd, header, 0, WAV_HEADER_BYTES, 0, (err) => {
+        fs.close(fd, () => callback(err));
+      });
+    });
+  });
+}
+
+/**
+ * Start a new archive file for a room (or audio input) at a position in its audio timeline
+ * Returns the file, or null if it could not be created
+ */
+function openAudioArchiveFile(session, positionMs) {
+  const room = getCaptionRoom(session);
+  const dir = getAudioArchiveDir(room.name);
+  const startedAt = new Date(new Date(session.audioAnchor).getTime() + positionMs).toISOString();
+  const baseName = startedAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-') // 2026-10-19T09-30-00Z
+    + (session.inputKey ? `-${session.inputKey}` : '');
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    let file = `${baseName}.wav`;
+    for (let n = 2; fs.existsSync(path.join(dir, file)); n++) {
+      file = `${baseName}-${n}.wav`;
     }
-    
-    // Write back to file
-    const newContent = updatedLines.join('\n') + '\n';
-    fs.writeFile(CAPTIONS_LOG_FILE, newContent, 'utf8', (err) => {
-      if (err) {
-        logger.error('Failed to save edited caption:', err.message);
-        return res.status(500).json({ success: false, error: 'Failed to save changes' });
-      }
-      
-      // Update in-memory history if present
-      const memoryEntry = captionHistory.find(c => c.timestamp === timestamp);
-      if (memoryEntry) {
-        memoryEntry.text = newText;
+    const filePath = path.join(dir, file);
+    fs.writeFileSync(filePath.replace(/\.wav$/, '.json'), JSON.stringify({
+      room: room.name,
+      input: session.inputLabel,
+      audioAnchor: session.audioAnchor,
+      startMs: positionMs,
+      startedAt
+    }, null, 2) + '\n');
+
+    const stream = fs.createWriteStream(filePath);
+    stream.on('error', (err) => {
+      console.error(`❌ Audio archive write error [${session.name}] ${file}:`, err.message);
+    });
+    stream.write(createWavHeader(0));
+
+    session.audioArchive = { file, filePath, stream, startMs: positionMs, bytes: 0 };
+    session.audioArchiveFiles.push({ file, startMs: positionMs });
+    console.log(`🎙️ Archiving audio [${session.name}]: ${file}`);
+    pruneAudioArchive();
+    return session.audioArchive;
+  } catch (err) {
+    if (Math.random() < 0.01) {
+      console.error(`❌ Cannot create audio archive file in ${dir}:`, err.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Finish a room's current archive file (its header sizes are written once it is flushed)
+ */
+function closeAudioArchiveFile(session) {
+  const archive = session.audioArchive;
+  if (!archive) return;
+  session.audioArchive = null;
+  archive.stream.end(() => {
+    updateWavHeaderSizes(archive.filePath, (err) => {
+      if (err) console.error(`❌ Could not finish audio archive file ${archive.file}:`, err.message);
+    });
+  });
+  console.log(`🎙️ Audio archive file closed [${session.name}]: ${archive.file} (${(archive.bytes / AUDIO_BYTES_PER_MS / 60000).toFixed(1)} min)`);
+}
+
+/**
+ * Write a received chunk to the room's archive, starting a new file when the current
+ * one has reached the segment length
+ */
+function archiveAudioChunk(session, audioData, positionMs) {
+  if (!AUDIO_ARCHIVE_ENABLED) return;
+  if (session.audioArchive && positionMs - session.audioArchive.startMs >= AUDIO_ARCHIVE_SEGMENT_MS) {
+    closeAudioArchiveFile(session);
+  }
+  const archive = session.audioArchive || openAudioArchiveFile(session, positionMs);
+  if (!archive) return;
+  archive.stream.write(audioData);
+  archive.bytes += audioData.length;
+}
+
+/**
+ * Archive file holding a position of the room's current audio timeline
+ */
+function getAudioArchiveFileAt(session, positionMs) {
+  if (typeof positionMs !== 'number') return null;
+  const matches = session.audioArchiveFiles.filter(archiveFile => archiveFile.startMs <= positionMs);
+  return matches.length > 0 ? matches[matches.length - 1].file : null;
+}
+
+/**
+ * List a room's archived audio files, oldest first
+ * startMs/endMs are positions in the audio timeline that began at audioAnchor
+ */
+function listAudioArchive(room) {
+  const dir = getAudioArchiveDir(room);
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => AUDIO_ARCHIVE_FILE_PATTERN.test(file));
+  } catch (err) {
+    return []; // Nothing archived for this room
+  }
+  const session = sessions.get(room);
+  const recordingFiles = session ? getRecordingArchiveFiles(session) : [];
+  return files.map(file => {
+    let info = {};
+    try {
+      info = JSON.parse(fs.readFileSync(path.join(dir, file.replace(/\.wav$/, '.json')), 'utf8'));
+    } catch (err) {
+      // No metadata - the file can still be played and downloaded
+    }
+    let size;
+    try {
+      size = fs.statSync(path.join(dir, file)).size;
+    } catch (err) {
+      return null; // Deleted meanwhile
+    }
+    const durationMs = Math.round(Math.max(0, size - WAV_HEADER_BYTES) / AUDIO_BYTES_PER_MS);
+    const startMs = typeof info.startMs === 'number' ? info.startMs : null;
+    return {
+      file,
+      input: info.input || null, // Audio input the file was recorded from (separate provider streams)
+      startedAt: info.startedAt || null,
+      audioAnchor: info.audioAnchor || null,
+      startMs,
+      endMs: startMs !== null ? startMs + durationMs : null,
+      durationMs,
+      size,
+      recording: recordingFiles.includes(file),
+      url: `/transcript/archive/${file}?room=${room}`
+    };
+  }).filter(Boolean).sort((a, b) => (a.startedAt || a.file).localeCompare(b.startedAt || b.file));
+}
+
+/**
+ * Archive files a room and its input sessions are recording
+ */
+function getRecordingArchiveFiles(session) {
+  return getRoomSessions(session)
+    .filter(s => s.audioArchive)
+    .map(s => s.audioArchive.file);
+}
+
+/**
+ * Apply the retention policy to the whole archive: delete files older than the retention
+ * period, then the oldest files while the archive is over its size cap
+ * Files being recorded are never deleted
+ */
+function pruneAudioArchive() {
+  if (!AUDIO_ARCHIVE_ENABLED) return;
+  const recording = new Set();
+  let totalBytes = 0;
+  sessions.forEach(room => {
+    getRoomSessions(room).forEach(session => {
+      if (session.audioArchive) {
+        recording.add(session.audioArchive.filePath);
+        totalBytes += session.audioArchive.bytes;
       }
-      
-      res.json({ success: true, message: 'Caption updated successfully' });
     });
   });
-});
+
+  const files = [];
+  try {
+    fs.readdirSync(AUDIO_ARCHIVE_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const dir = path.join(AUDIO_ARCHIVE_DIR, entry.name);
+        fs.readdirSync(dir).filter(file => AUDIO_ARCHIVE_FILE_PATTERN.test(file)).forEach(file => {
+          const filePath = path.join(dir, file);
+          if (recording.has(filePath)) return;
+          const stats = fs.statSync(filePath);
+          files.push({ room: entry.name, file, filePath, size: stats.size, modified: stats.mtimeMs });
+          totalBytes += stats.size;
+        });
+      });
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('❌ Could not read the audio archive:', err.message);
+    }
+    return;
+  }
+
+  const cutoff = Date.now() - AUDIO_ARCHIVE_RETENTION_DAYS * 86400000;
+  const maxBytes = AUDIO_ARCHIVE_MAX_GB * 1024 * 1024 * 1024;
+  files.sort((a, b) => a.modified - b.modified).forEach(archiveFile => {
+    const expired = AUDIO_ARCHIVE_RETENTION_DAYS > 0 && archiveFile.modified < cutoff;
+    const overCap = maxBytes > 0 && totalBytes > maxBytes;
+    if (!expired && !overCap) return;
+    try {
+      fs.unlinkSync(archiveFile.filePath);
+      fs.rmSync(archiveFile.filePath.replace(/\.wav$/, '.json'), { force: true });
+      totalBytes -= archiveFile.size;
+      console.log(`🧹 Deleted archived audio ${archiveFile.room}/${archiveFile.file} (${expired ? `older than ${AUDIO_ARCHIVE_RETENTION_DAYS} days` : `archive over ${AUDIO_ARCHIVE_MAX_GB} GB`})`);
+    } catch (err) {
+      console.error(`❌ Could not delete archived audio ${archiveFile.file}:`, err.message);
+    }
+  });
+}
 
 /**
- * SSE endpoint for real-time transcript updates
+ * Start the audio archive: finish files left open by a crash, apply the retention policy
+ * and re-apply it hourly
  */
-app.get('/transcript/stream', (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+function startAudioArchive() {
+  if (!AUDIO_ARCHIVE_ENABLED) return;
+  try {
+    fs.readdirSync(AUDIO_ARCHIVE_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        listAudioArchive(entry.name).forEach(archiveFile => {
+          updateWavHeaderSizes(path.join(getAudioArchiveDir(entry.name), archiveFile.file), (err) => {
+            if (err) console.error(`❌ Could not repair archived audio ${archiveFile.file}:`, err.message);
+          });
+        });
+      });
+  } catch (err) {
+    // No archive yet
+  }
+  pruneAudioArchive();
+  setInterval(pruneAudioArchive, AUDIO_ARCHIVE_PRUNE_INTERVAL);
+  console.log(`🎙️ Audio archive: ${AUDIO_ARCHIVE_DIR} (${AUDIO_ARCHIVE_SEGMENT_MS / 60000} min files, kept ${AUDIO_ARCHIVE_RETENTION_DAYS > 0 ? `${AUDIO_ARCHIVE_RETENTION_DAYS} days` : 'without time limit'}${AUDIO_ARCHIVE_MAX_GB > 0 ? `, up to ${AUDIO_ARCHIVE_MAX_GB} GB` : ''})`);
+}
 
-  // Add client to set
-  transcriptSSEClients.add(res);
+// ===== AUDIO BUFFER (RECONNECTS) =====
 
-  // Send initial heartbeat
-  res.write(': heartbeat\n\n');
+// Audio keeps arriving while a provider connection is down. The last
+// AUDIO_BUFFER_SECONDS of it are kept per room, and when a stream's new connection
+// is configured it is replayed from where the stream's transcription stopped (the
+// end of its last final word), so the sermon is not lost while reconnecting.
+// Words the new connection repeats from before that splice point are dropped.
 
-  // Keep connection alive with periodic heartbeats
-  const heartbeat = setInterval(() => {
-    res.write(': heartbeat\n\n');
-  }, 30000);
+const AUDIO_BUFFER_SECONDS = process.env.AUDIO_BUFFER_SECONDS !== undefined
+  ? Math.max(0, Number(process.env.AUDIO_BUFFER_SECONDS) || 0)
+  : 60; // 0 disables buffering
+const AUDIO_BUFFER_BYTES = AUDIO_BUFFER_SECONDS * 1000 * AUDIO_BYTES_PER_MS;
+const SPLICE_MIN_OVERLAP_WORDS = 2; // Shorter repeats may be genuine ("the the")
+const SPLICE_MAX_OVERLAP_WORDS = 12;
+const FINAL_TAIL_LENGTH = 200; // Characters of final text remembered per stream
 
-  // Clean up on close
-  req.on('close', () => {
-    clearInterval(heartbeat);
-    transcriptSSEClients.delete(res);
-  });
-});
+/**
+ * Keep a received chunk in the room's ring buffer, dropping the oldest audio over the cap
+ */
+function bufferAudioChunk(session, audioData, positionMs) {
+  if (AUDIO_BUFFER_BYTES === 0) return;
+  session.audioBuffer.push({ positionMs, data: audioData });
+  session.audioBufferBytes += audioData.length;
+  while (session.audioBufferBytes > AUDIO_BUFFER_BYTES && session.audioBuffer.length > 1) {
+    session.audioBufferBytes -= session.audioBuffer.shift().data.length;
+  }
+}
 
 /**
- * SSE endpoint for real-time log streaming
+ * Replay buffered audio to a stream whose provider connection has just been configured
+ * Covers the audio received while the stream was not connected, plus the unfinished
+ * utterance before the drop, and reports how much of the gap was recovered or lost
  */
-app.get('/logs/stream', (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+function replayBufferedAudio(session, stream) {
+  const isFirstConnection = stream.connections++ === 0;
+  const nowMs = session.audioReceivedBytes / AUDIO_BYTES_PER_MS;
+  const gapMs = Math.max(0, nowMs - stream.deliveredMs);
+  const bufferStartMs = session.audioBuffer.length > 0 ? session.audioBuffer[0].positionMs : nowMs;
+  const lostMs = Math.min(gapMs, Math.max(0, bufferStartMs - stream.deliveredMs));
+  const recoveredMs = gapMs - lostMs;
+
+  // Resume where transcription stopped - never before this connection's predecessor started
+  const resumeMs = Math.min(Math.max(stream.resumeMs, stream.finalizedMs ?? 0), stream.deliveredMs);
+  const fromMs = Math.max(resumeMs, bufferStartMs);
+
+  let replayedBytes = 0;
+  for (const chunk of session.audioBuffer) {
+    if (chunk.positionMs + chunk.data.length / AUDIO_BYTES_PER_MS <= fromMs) continue;
+    // Start mid-chunk at the resume point (on a sample boundary)
+    const skipBytes = Math.max(0, Math.floor((fromMs - chunk.positionMs) * AUDIO_BYTES_PER_MS / 2) * 2);
+    const data = skipBytes > 0 ? chunk.data.subarray(skipBytes) : chunk.data;
+    if (!stream.provider.sendAudio(data)) break;
+    if (stream.audioOffsetMs === null) {
+      stream.audioOffsetMs = chunk.positionMs + skipBytes / AUDIO_BYTES_PER_MS;
+    }
+    stream.sentMs += data.length / AUDIO_BYTES_PER_MS;
+    replayedBytes += data.length;
+  }
+  stream.resumeMs = stream.audioOffsetMs !== null ? stream.audioOffsetMs : nowMs;
+  stream.deliveredMs = nowMs;
+
+  // Words finalized before the drop may be recognized again from the replayed audio
+  stream.splice = stream.finalizedMs !== null && replayedBytes > 0
+    ? { positionMs: stream.finalizedMs, tails: { ...stream.finalTail }, textChecked: {} }
+    : null;
+
+  if (gapMs === 0 && replayedBytes === 0) return;
+  const seconds = (ms) => (ms / 1000).toFixed(1);
+  if (isFirstConnection) {
+    // First connection - only the audio received while connecting
+    console.log(`♻️ Sent ${seconds(replayedBytes / AUDIO_BYTES_PER_MS)}s of audio received while connecting to ${stream.provider.label} (${stream.language})`);
+    return;
+  }
+  session.audioRecoveredMs += recoveredMs;
+  session.audioLostMs += lostMs;
+  console.log(`♻️ Replayed ${seconds(replayedBytes / AUDIO_BYTES_PER_MS)}s of buffered audio to ${stream.provider.label} (${stream.language}): recovered ${seconds(recoveredMs)}s, lost ${seconds(lostMs)}s`);
+  if (lostMs > 0) {
+    console.warn(`⚠️ ${seconds(lostMs)}s of audio was lost while reconnecting (buffer holds ${AUDIO_BUFFER_SECONDS}s - set AUDIO_BUFFER_SECONDS to keep more)`);
+  }
+  broadcastToOperators(session, {
+    type: 'audio_buffer',
+    room: session.name,
+    language: stream.language,
+    recoveredMs: Math.round(recoveredMs),
+    lostMs: Math.round(lostMs),
+    replayedMs: Math.round(replayedBytes / AUDIO_BYTES_PER_MS),
+    ...getAudioBufferStats(session)
+  });
+}
 
-  // Add client to set
-  logsSSEClients.add(res);
+/**
+ * Room totals for status messages
+ */
+function getAudioBufferStats(session) {
+  return {
+    bufferSeconds: AUDIO_BUFFER_SECONDS,
+    totalRecoveredMs: Math.round(session.audioRecoveredMs),
+    totalLostMs: Math.round(session.audioLostMs)
+  };
+}
 
-  // Send initial heartbeat
-  res.write(': heartbeat\n\n');
+/**
+ * Remember how far a stream has transcribed (used to pick the replay start point)
+ */
+function trackStreamProgress(stream, tokens) {
+  if (!tokens) return;
+  tokens.forEach(token => {
+    if (!token.isFinal || !token.text || isControlToken(token)) return;
+    if (typeof token.endMs === 'number' && (stream.finalizedMs === null || token.endMs > stream.finalizedMs)) {
+      stream.finalizedMs = token.endMs;
+    }
+    const tail = stream.finalTail[token.translationStatus] + token.text;
+    stream.finalTail[token.translationStatus] = tail.slice(-FINAL_TAIL_LENGTH);
+  });
+}
 
-  // Keep connection alive with periodic heartbeats
-  const heartbeat = setInterval(() => {
-    res.write(': heartbeat\n\n');
-  }, 30000);
+/**
+ * Drop what a reconnected stream repeats from before the splice point
+ * Timed tokens (originals) are dropped if they lie mostly before the end of the last
+ * final word; the first untimed final text (translations) is trimmed of the words that
+ * repeat the end of the text finalized before the reconnect
+ */
+function suppressSpliceDuplicates(stream, tokens) {
+  const splice = stream.splice;
+  if (!splice || !tokens) return tokens;
+
+  let dropped = 0;
+  let result = tokens.filter(token => {
+    if (typeof token.startMs !== 'number' || typeof token.endMs !== 'number') return true;
+    if ((token.startMs + token.endMs) / 2 >= splice.positionMs) return true;
+    dropped++;
+    return false;
+  });
 
-  // Clean up on close
-  req.on('close', () => {
-    clearInterval(heartbeat);
-    logsSSEClients.delete(res);
+  ['original', 'translation'].forEach(status => {
+    if (splice.textChecked[status]) return;
+    const untimed = result.filter(token => token.isFinal && token.translationStatus === status &&
+      typeof token.startMs !== 'number' && token.text && !isControlToken(token));
+    if (untimed.length === 0) return;
+    splice.textChecked[status] = true;
+
+    let overlap = getTextOverlapLength(splice.tails[status], untimed.map(token => token.text).join(''));
+    if (overlap === 0) return;
+    dropped++;
+    result = result.map(token => {
+      if (overlap === 0 || !untimed.includes(token)) return token;
+      const trimmed = Math.min(overlap, token.text.length);
+      overlap -= trimmed;
+      return { ...token, text: token.text.slice(trimmed) };
+    });
   });
-});
+
+  if (dropped > 0) {
+    console.log(`✂️ Suppressed duplicate text at the reconnect splice point (${stream.language})`);
+  }
+  return result;
+}
 
 /**
- * Serve static files (if needed)
+ * Length of the start of text that repeats the last words of previousText (0 if none)
  */
-app.use(express.static(__dirname));
-
-// Helper function to escape HTML
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;'
-  };
-  return text.replace(/[&<>"']/g, m => map[m]);
+function getTextOverlapLength(previousText, text) {
+  const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  const previousWords = previousText.split(/\s+/).filter(Boolean).map(normalize);
+  const words = Array.from(text.matchAll(/\S+/g));
+  const maxCount = Math.min(words.length, previousWords.length, SPLICE_MAX_OVERLAP_WORDS);
+  for (let count = maxCount; count >= SPLICE_MIN_OVERLAP_WORDS; count--) {
+    const tail = previousWords.slice(-count);
+    if (words.slice(0, count).every((word, i) => normalize(word[0]) === tail[i])) {
+      const last = words[count - 1];
+      return last.index + last[0].length;
+    }
+  }
+  return 0;
 }
 
 /**
- * Upgrade HTTP to WebSocket
+ * Process normalized tokens from one language stream
+ * Tokens carry translationStatus: 'original' or 'translation'
+ * Translation often comes in separate messages after original is finalized
+ * For LIVE translation, we send both partial and final results
  */
-server.on('upgrade', (request, socket, head) => {
-  const pathname = new URL(request.url, 'http://localhost').pathname;
+function handleProviderTokens(session, stream, provider, tokens) {
+  if (!tokens || tokens.length === 0) return;
 
-  if (pathname === '/client') {
-    wssClients.handleUpgrade(request, socket, head, (ws) => {
-      wssClients.emit('connection', ws, request);
-    });
-  } else if (pathname === '/captions') {
-    wssCaptions.handleUpgrade(request, socket, head, (ws) => {
-      wssCaptions.emit('connection', ws, request);
-    });
+  if (session.providerConfig.translationMode === 'two_way') {
+    handleTwoWayTokens(session, provider, tokens);
+    return;
+  }
+
+  const language = stream.language;
+
+  // Check if translation is disabled (stream is in the source language, or provider can't translate)
+  const isTranslationDisabled = !provider.supportsTranslation ||
+                               session.providerConfig.sourceLanguage === language;
+
+  // Separate original and translated tokens (dropping endpoint markers like <end>)
+  // When translation is disabled, treat ALL tokens as original
+  const textTokens = tokens.filter(t => t.text && !isControlToken(t));
+  let originalTokens, translatedTokens;
+  if (isTranslationDisabled) {
+    // No translation - all tokens are "original" text
+    originalTokens = textTokens;
+    translatedTokens = []; // No translations
   } else {
-    socket.destroy();
+    // Translation enabled - filter by translation status
+    originalTokens = textTokens.filter(t => t.translationStatus === 'original');
+    translatedTokens = textTokens.filter(t => t.translationStatus === 'translation');
   }
-});
+
+  // Captions show the translation, or the original text when translation is disabled
+  const captionTokens = isTranslationDisabled ? originalTokens : translatedTokens;
+  if (captionTokens.length === 0 && originalTokens.length === 0) return;
+
+  const segment = getCaptionSegment(session, language);
+  applyTokensToSegment(segment, captionTokens, isTranslationDisabled ? captionTokens : originalTokens);
+
+  // The segment is complete once every caption token in the message is final
+  const isFinal = captionTokens.length > 0 && captionTokens.every(t => t.isFinal);
+
+  if (captionTokens.length === 0) {
+    // Translation enabled - original text only so far, the caption text arrives with the translation
+    // Only log final results to reduce log spam (partial results are too frequent)
+    if (originalTokens.every(t => t.isFinal)) {
+      console.log(`📝 Final original (waiting for ${language} translation):`, segment.originalFinalText.trim());
+    }
+  } else if (provider.messageCount < 10 || (isFinal && (isTranslationDisabled || Math.random() < 0.1))) {
+    // Log first few captions to debug startup delay
+    const text = getSegmentText(segment);
+    console.log(`📝 ${isFinal ? 'Final' : 'Partial'} caption${isTranslationDisabled ? ' (no translation)' : ''} [${language}]:`, text.substring(0, 50) + (text.length > 50 ? '...' : ''));
+  }
+
+  // Broadcast immediately (live updates) - don't wait for final
+  // Only the primary language goes to YouTube
+  publishCaptionSegment(session, segment, isFinal, language === session.primaryLanguage);
+}
 
 /**
- * Handle browser client connections (mic input)
+ * Process tokens in two-way (interpretation) mode
+ * Either language may be spoken - each utterance is shown translated into the other
+ * language, tagged with the language it is in and the language that was detected
  */
-wssClients.on('connection', (ws) => {
-  console.log('✅ Browser client connected (mic input)');
-
-  // Don't auto-connect to Soniox - wait for user to start connection via UI
-  // Send current connection status to the new client
-  setTimeout(() => {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({
-        type: 'soniox_status',
-        status: sonioxConnectionState,
-        message: sonioxConnectionState === 'connected' 
-          ? `Connected: ${currentSonioxConfig.sourceLanguage} → ${currentSonioxConfig.targetLanguage}`
-          : sonioxConnectionState === 'connecting'
-          ? 'Connecting...'
-          : 'Not connected'
-      }));
+function handleTwoWayTokens(session, provider, tokens) {
+  const { sourceLanguage: languageA, targetLanguage: languageB } = session.providerConfig;
+  const otherLanguage = (language) => language === languageA ? languageB : languageA;
+  const textTokens = tokens.filter(t => t.text && !isControlToken(t));
+
+  // Original tokens: remember the detected spoken language (translations may arrive separately)
+  // and collect them as the original text of the caption in the other language
+  const originalGroups = new Map();
+  textTokens.filter(t => t.translationStatus === 'original').forEach(token => {
+    const spoken = token.language === languageA || token.language === languageB
+      ? token.language
+      : session.detectedLanguage;
+    if (!spoken) return;
+    session.detectedLanguage = spoken;
+    if (!originalGroups.has(spoken)) {
+      originalGroups.set(spoken, []);
     }
-  }, 100);
+    originalGroups.get(spoken).push(token);
+  });
+  originalGroups.forEach((group, spoken) => {
+    const segment = getCaptionSegment(session, otherLanguage(spoken));
+    segment.detectedLanguage = spoken;
+    applyTokensToSegment(segment, [], group);
+  });
 
-  ws.on('message', (message) => {
-    try {
-      // Check if message is a string (JSON) or binary
-      let data;
-      if (typeof message === 'string') {
-        try {
-          data = JSON.parse(message);
-        } catch (parseError) {
-          console.warn('⚠️ Received non-JSON string message:', message.toString().substring(0, 100));
-          return; // Skip non-JSON messages
-        }
-      } else if (Buffer.isBuffer(message)) {
-        // Binary message - try to parse as UTF-8 string first (might be JSON)
-        try {
-          const messageStr = message.toString('utf8');
-          data = JSON.parse(messageStr);
-        } catch (parseError) {
-          // If it's not JSON, it might be raw audio data
-          // But we expect audio data to come as JSON with type: 'audio'
-          // So this is unexpected - log once per 1000 messages to avoid spam
-          if (Math.random() < 0.001) {
-            console.warn('⚠️ Received binary message that is not JSON (might be raw audio):', message.length, 'bytes');
-          }
-          return; // Skip non-JSON binary messages
-        }
-      } else {
-        // Try to convert to string and parse
-        try {
-          const messageStr = message.toString();
-          data = JSON.parse(messageStr);
-        } catch (parseError) {
-          console.warn('⚠️ Received unknown message type that cannot be parsed:', typeof message);
-          return;
-        }
-      }
-      
-      if (data.type === 'start_soniox') {
-        // Client requesting to start Soniox connection
-        const { apiKey, sourceLanguage, targetLanguage, youtubeCaptionUrl } = data;
-        console.log(`🎬 Client requested to start Soniox connection: ${sourceLanguage} → ${targetLanguage}`);
-        
-        // Validate inputs
-        if (!apiKey || apiKey.trim().length === 0) {
-          ws.send(JSON.stringify({
-            type: 'soniox_status',
-            status: 'error',
-            message: 'API key is required'
-          }));
-          return;
-        }
-        
-        // Update YouTube publisher if URL provided
-        if (youtubeCaptionUrl && youtubeCaptionUrl.trim().length > 0) {
-          youtubePublisher = new YouTubeCaptionPublisher(youtubeCaptionUrl.trim(), YOUTUBE_CAPTIONS_LANGUAGE);
-          console.log('📺 YouTube captions URL updated from client settings');
-          if (youtubePublisher.enabled) {
-            console.log('📺 YouTube captions enabled:', youtubeCaptionUrl.substring(0, 50) + '...');
-          }
-        } else {
-          // Disable YouTube captions if URL is empty
-          youtubePublisher = new YouTubeCaptionPublisher(null, YOUTUBE_CAPTIONS_LANGUAGE);
-          console.log('📺 YouTube captions disabled (no URL provided)');
-        }
-        
-        // Close existing connection if any (properly clean up first)
-        if (sonioxWs) {
-          console.log('ℹ️ Closing existing Soniox connection to start new one');
-          shutdownSonioxConnection();
-          // Wait for proper cleanup before reconnecting
-          setTimeout(() => {
-            connectToSoniox(apiKey, sourceLanguage, targetLanguage);
-          }, 300);
-        } else {
-          // No existing connection, start immediately
-          connectToSoniox(apiKey, sourceLanguage, targetLanguage);
-        }
-      } else if (data.type === 'stop_soniox') {
-        // Client requesting to stop Soniox connection
-        console.log('🛑 Client requested to stop Soniox connection');
-        shutdownSonioxConnection();
-      } else if (data.type === 'get_soniox_status') {
-        // Client requesting current Soniox status
-        ws.send(JSON.stringify({
-          type: 'soniox_status',
-          status: sonioxConnectionState,
-          message: sonioxConnectionState === 'connected' 
-            ? `Connected: ${currentSonioxConfig.sourceLanguage} → ${currentSonioxConfig.targetLanguage}`
-            : sonioxConnectionState === 'connecting'
-            ? 'Connecting...'
-            : 'Not connected'
-        }));
-      } else if (data.type === 'audio') {
-        // Forward audio data to Soniox with minimal delay
-        // Allow audio to be sent as long as connection is open, even if config not yet confirmed
-        // Soniox can buffer audio while waiting for configuration
-        if (sonioxWs && sonioxWs.readyState === WebSocket.OPEN) {
-          // Convert array of Int16 values to binary Buffer (optimized)
-          let audioData;
-          try {
-            if (data.format === 'base64') {
-              audioData = Buffer.from(data.data, 'base64');
-            } else if (data.format === 'array') {
-              // Direct conversion for better performance
-              audioData = Buffer.from(new Int16Array(data.data).buffer);
-            } else {
-              audioData = Buffer.from(new Int16Array(data.data).buffer);
-            }
-            
-            // Only send if we have valid audio data
-            if (audioData && audioData.length > 0) {
-              sonioxWs.send(audioData, { binary: true });
-              lastAudioSentTime = Date.now();
-              
-              // Log occasionally for debugging (every ~100 chunks)
-              if (Math.random() < 0.01) {
-                console.log(`📤 Sending audio chunk: ${audioData.length} bytes (configured: ${isSonioxConfigured})`);
-              }
-            }
-          } catch (error) {
-            // Log errors but don't spam
-            if (Math.random() < 0.001) {
-              console.error('❌ Error processing audio:', error.message);
-            }
-            // If connection issue, attempt reconnection
-            if (error.code === 'ECONNRESET' || error.message.includes('not open')) {
-              scheduleReconnect();
-            }
-          }
-        } else if (!sonioxWs || sonioxWs.readyState !== WebSocket.OPEN) {
-          // Connection lost, log once
-          if (Math.random() < 0.001) {
-            console.warn('⚠️ Cannot send audio - Soniox not connected');
-          }
-          // Attempt reconnection (only if not manual disconnect)
-          if (!manualDisconnect && !reconnectTimeout) {
-            scheduleReconnect();
-          }
-        }
-      } else if (data.type === 'config') {
-        // Client requesting configuration
-        ws.send(JSON.stringify({
-          type: 'config',
-          sampleRate: 16000,
-          channels: 1,
-          format: 'pcm_s16le'
-        }));
-      } else if (data.type === 'settings') {
-        // Forward settings to all caption display clients
-        console.log('📤 Forwarding settings to caption displays:', data.settings);
-        captionClients.forEach(client => {
-          if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({
-              type: 'settings',
-              settings: data.settings
-            }));
-          }
-        });
-      } else if (data.type === 'clear') {
-        // Clear captions on all display clients
-        console.log('🧹 Clearing captions on all displays');
-        captionClients.forEach(client => {
-          if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({ type: 'clear' }));
-          }
-        });
-      }
-    } catch (error) {
-      // Better error logging
-      const errorMessage = error?.message || error?.toString() || 'Unknown error';
-      const errorStack = error?.stack || '';
-      console.error('❌ Error processing client message:', errorMessage);
-      if (errorStack && errorStack.length < 500) {
-        console.error('   Stack:', errorStack);
-      }
-      // Log the raw message if it's not too large
-      try {
-        const messageStr = message.toString();
-        if (messageStr.length < 200) {
-          console.error('   Raw message:', messageStr.substring(0, 200));
-        } else {
-          console.error('   Message type:', typeof message, 'length:', messageStr.length);
-        }
-      } catch (e) {
-        // Ignore errors in error logging
-      }
+  // Group translation tokens by the language they are in (normally one group per message)
+  const groups = new Map();
+  textTokens.filter(t => t.translationStatus === 'translation').forEach(token => {
+    const detectedLanguage = token.sourceLanguage || session.detectedLanguage || null;
+    const language = token.language || (detectedLanguage ? otherLanguage(detectedLanguage) : null);
+    if (!language) return;
+    if (!groups.has(language)) {
+      groups.set(language, { detectedLanguage, tokens: [] });
     }
+    groups.get(language).tokens.push(token);
   });
 
-  ws.on('close', () => {
-    console.log('🔌 Browser client disconnected');
-    // Remove from client list
-    const index = clientWebSockets.indexOf(ws);
-    if (index > -1) {
-      clientWebSockets.splice(index, 1);
+  groups.forEach((group, language) => {
+    const segment = getCaptionSegment(session, language);
+    segment.detectedLanguage = group.detectedLanguage || otherLanguage(language);
+    applyTokensToSegment(segment, group.tokens, []);
+    const isFinal = group.tokens.every(t => t.isFinal);
+
+    if (provider.messageCount < 10 || isFinal) {
+      const text = getSegmentText(segment);
+      console.log(`📝 ${isFinal ? 'Final' : 'Partial'} interpretation [${segment.detectedLanguage} → ${language}]:`, text.substring(0, 50) + (text.length > 50 ? '...' : ''));
     }
+
+    // Broadcast immediately (live updates) - displays without ?lang= show both directions
+    publishCaptionSegment(session, segment, isFinal, true);
   });
 
-  ws.on('error', (error) => {
-    console.error('❌ Browser client error:', error);
-    // Remove from client list on error
-    const index = clientWebSockets.indexOf(ws);
-    if (index > -1) {
-      clientWebSockets.splice(index, 1);
+  // Originals without a translation yet still update the displays' original text
+  originalGroups.forEach((group, spoken) => {
+    if (!groups.has(otherLanguage(spoken))) {
+      publishCaptionSegment(session, getCaptionSegment(session, otherLanguage(spoken)), false, false);
     }
   });
+}
+
+// ===== CAPTION SEGMENTS =====
+
+// A segment is one caption (utterance) as it is built up from provider tokens:
+// finalized text accumulates, the non-final tail is replaced by every update.
+// Each update is broadcast as a numbered revision (seq) of the segment, and the
+// segment closes when all of its caption tokens are final.
+
+/**
+ * Provider control tokens that are not caption text (Soniox endpoint/finalize markers)
+ */
+function isControlToken(token) {
+  return /^<(end|fin)>$/.test(token.text.trim());
+}
 
-  // Add to client list
-  clientWebSockets.push(ws);
-});
+/**
+ * Get the open segment for a caption language, starting a new one if needed
+ */
+function getCaptionSegment(session, language) {
+  let segment = session.captionSegments.get(language);
+  if (!segment) {
+    segment = {
+      id: ++getCaptionRoom(session).lastSegmentId, // Unique in the room, over all of its inputs
+      seq: 0,
+      language,
+      detectedLanguage: null,
+      finalText: '',
+      partialText: '',
+      originalFinalText: '',
+      originalPartialText: '',
+      startMs: null,
+      endMs: null,
+      speaker: null // Diarization label of the speaker who started the segment
+    };
+    session.captionSegments.set(language, segment);
+  }
+  return segment;
+}
 
 /**
- * Handle caption display connections (captions.html)
+ * Add a message's tokens to a segment
+ * Final tokens are appended, non-final tokens replace the previous partial tail
  */
-wssCaptions.on('connection', (ws) => {
-  console.log('✅ Caption display connected');
-  captionClients.add(ws);
+function applyTokensToSegment(segment, captionTokens, originalTokens) {
+  if (captionTokens.length > 0) {
+    segment.finalText += captionTokens.filter(t => t.isFinal).map(t => t.text).join('');
+    segment.partialText = captionTokens.filter(t => !t.isFinal).map(t => t.text).join('');
+  }
+  if (originalTokens.length > 0) {
+    segment.originalFinalText += originalTokens.filter(t => t.isFinal).map(t => t.text).join('');
+    segment.originalPartialText = originalTokens.filter(t => !t.isFinal).map(t => t.text).join('');
+  }
 
-  ws.on('close', () => {
-    console.log('🔌 Caption display disconnected');
-    captionClients.delete(ws);
-  });
+  // Speaker of the segment - the first labeled token (translation tokens may carry no label)
+  if (!segment.speaker) {
+    const labeled = [...originalTokens, ...captionTokens].find(token => token.speaker);
+    if (labeled) {
+      segment.speaker = labeled.speaker;
+    }
+  }
 
-  ws.on('error', (error) => {
-    console.error('❌ Caption display error:', error);
-    captionClients.delete(ws);
+  // Audio position of the segment in the room's timeline (translation tokens usually carry no timing)
+  [...captionTokens, ...originalTokens].forEach(token => {
+    if (typeof token.startMs === 'number' && (segment.startMs === null || token.startMs < segment.startMs)) {
+      segment.startMs = token.startMs;
+    }
+    if (typeof token.endMs === 'number' && (segment.endMs === null || token.endMs > segment.endMs)) {
+      segment.endMs = token.endMs;
+    }
   });
-});
+}
 
 /**
- * Broadcast Soniox connection status to all connected clients
+ * Publish every open segment as final (the provider will send no more tokens)
  */
-function broadcastSonioxStatus(status, message = '') {
-  const statusMessage = JSON.stringify({
-    type: 'soniox_status',
-    status: status, // 'connecting', 'connected', 'disconnected', 'error'
-    message: message
-  });
-
-  console.log(`📢 Broadcasting Soniox status: ${status} to ${clientWebSockets.length} client(s)`);
-
-  // Broadcast to all browser clients
-  let sentCount = 0;
-  clientWebSockets.forEach(ws => {
-    if (ws.readyState === WebSocket.OPEN) {
-      try {
-        ws.send(statusMessage);
-        sentCount++;
-      } catch (err) {
-        console.error('❌ Error broadcasting status to client:', err.message);
-      }
+function flushCaptionSegments(session) {
+  Array.from(session.captionSegments.values()).forEach(segment => {
+    if (getSegmentText(segment) || segment.originalFinalText || segment.originalPartialText) {
+      publishCaptionSegment(session, segment, true, segment.language === session.primaryLanguage);
     }
   });
-  
-  if (sentCount === 0 && clientWebSockets.length > 0) {
-    console.warn('⚠️ No clients received status update (all clients may be disconnected)');
-  }
+  session.captionSegments.clear();
+}
+
+function getSegmentText(segment) {
+  return (segment.finalText + segment.partialText).trim();
 }
 
 /**
- * Gracefully shutdown Soniox connection
+ * Length of the finalized start of a segment's (trimmed) text - the rest may still change
  */
-function shutdownSonioxConnection() {
-  console.log('🛑 Shutting down Soniox connection gracefully...');
-  
-  // Set flags FIRST to prevent any race conditions
-  manualDisconnect = true; // Mark as manual disconnect to prevent auto-reconnect
-  isReconnecting = false; // Reset reconnecting flag
-  isSonioxConfigured = false; // Reset config flag
-  sonioxConnectionState = 'disconnected';
-  
-  // Broadcast disconnected status immediately (before closing)
-  broadcastSonioxStatus('disconnected', 'Connection stopped');
-  
-  // Stop heartbeat
-  stopHeartbeat();
-  
-  // Clear reconnect timeout if any
-  if (reconnectTimeout) {
-    clearTimeout(reconnectTimeout);
-    reconnectTimeout = null;
-  }
-  
-  // Close WebSocket connection
-  if (sonioxWs) {
-    try {
-      // Close with normal closure code
-      if (sonioxWs.readyState === WebSocket.OPEN || sonioxWs.readyState === WebSocket.CONNECTING) {
-        sonioxWs.close(1000, 'Manual disconnect');
-      }
-    } catch (error) {
-      console.error('❌ Error closing Soniox WebSocket:', error);
-    }
-    // Clear the reference immediately
-    sonioxWs = null;
-  }
-  
-  console.log('✅ Soniox connection shut down successfully');
+function getFinalLength(finalText, partialText) {
+  const text = finalText + partialText;
+  const leadingSpace = text.length - text.trimStart().length;
+  return Math.min(Math.max(0, finalText.length - leadingSpace), text.trim().length);
 }
 
 /**
- * Connect to Soniox WebSocket with configurable settings
+ * Build the versioned caption message sent to caption displays
  */
-function connectToSoniox(apiKey, sourceLanguage, targetLanguage) {
-  // Use provided settings or fall back to current config
-  const config = {
-    apiKey: apiKey || currentSonioxConfig.apiKey,
-    sourceLanguage: sourceLanguage || currentSonioxConfig.sourceLanguage,
-    targetLanguage: targetLanguage || currentSonioxConfig.targetLanguage
+function buildCaptionMessage(session, segment, isFinal) {
+  const room = getCaptionRoom(session);
+  return {
+    type: 'caption',
+    version: CAPTION_MESSAGE_VERSION,
+    room: room.name,
+    segmentId: segment.id,
+    seq: segment.seq,
+    final: isFinal,
+    text: getSegmentText(segment),
+    originalText: (segment.originalFinalText + segment.originalPartialText).trim(),
+    // Characters of text/originalText that are final; a final revision is final throughout
+    finalLength: isFinal ? getSegmentText(segment).length : getFinalLength(segment.finalText, segment.partialText),
+    originalFinalLength: isFinal
+      ? (segment.originalFinalText + segment.originalPartialText).trim().length
+      : getFinalLength(segment.originalFinalText, segment.originalPartialText),
+    language: segment.language,
+    detectedLanguage: segment.detectedLanguage,
+    // Script direction of text and originalText (see TEXT DIRECTION)
+    direction: getTextDirection(segment.language, getSegmentText(segment)),
+    originalDirection: getTextDirection(segment.detectedLanguage || session.providerConfig.sourceLanguage,
+      segment.originalFinalText + segment.originalPartialText),
+    startMs: segment.startMs,
+    endMs: segment.endMs,
+    audioAnchor: session.audioAnchor,
+    speaker: segment.speaker,
+    speakerName: getSpeakerName(room.speakerNames, segment.speaker)
   };
-  
-  // Update current config
-  currentSonioxConfig = config;
-  
-  // Validate API key
-  if (!config.apiKey || config.apiKey.trim().length === 0) {
-    console.error('❌ Cannot connect: No API key provided');
-    sonioxConnectionState = 'error';
-    broadcastSonioxStatus('error', 'No API key provided');
-    return;
+}
+
+/**
+ * Broadcast the segment's current revision, and log/publish it once it is final
+ * Captions of a tagged audio input are spoken by its label (see AUDIO INPUTS)
+ * While captioning is on hold, late captions of the audio before it are only logged
+ * @param {boolean} publishToYouTube - Whether final text from this segment goes to YouTube
+ */
+function publishCaptionSegment(session, segment, isFinal, publishToYouTube) {
+  const room = getCaptionRoom(session);
+  segment.seq++;
+  segment.speaker = getInputLabelAt(session, segment.startMs, segment.endMs) || segment.speaker;
+  const caption = buildCaptionMessage(session, segment, isFinal);
+  if (!room.hold) {
+    broadcastToCaptions(room, caption);
   }
-  
-  console.log('🔌 Connecting to Soniox...');
-  console.log(`   API Key: ${config.apiKey.substring(0, 10)}... (${config.apiKey.length} chars)`);
-  console.log(`   Source Language: ${config.sourceLanguage}`);
-  console.log(`   Target Language: ${config.targetLanguage}`);
-  
-  manualDisconnect = false; // Reset manual disconnect flag
-  sonioxConnectionState = 'connecting';
-  broadcastSonioxStatus('connecting', 'Establishing connection...');
 
-  // Add connection timeout (30 seconds)
-  let connectionTimeout = setTimeout(() => {
-    if (sonioxWs && sonioxWs.readyState !== WebSocket.OPEN) {
-      console.error('❌ Soniox connection timeout after 30 seconds');
-      sonioxConnectionState = 'error';
-      broadcastSonioxStatus('error', 'Connection timeout - check API key and network');
-      if (sonioxWs) {
-        try {
-          sonioxWs.close();
-        } catch (e) {
-          // Ignore
-        }
-        sonioxWs = null;
-      }
-      // Don't auto-reconnect on timeout - let user retry
-      manualDisconnect = true;
-    }
-  }, 30000);
+  if (!isFinal) return;
+
+  // Segment complete - the next tokens in this language start a new one
+  session.captionSegments.delete(segment.language);
+  if (!caption.text) return;
+
+  // Log final caption to history
+  logCaption(room, caption.text, true, {
+    language: caption.language,
+    detectedLanguage: caption.detectedLanguage,
+    startMs: caption.startMs,
+    endMs: caption.endMs,
+    audioAnchor: caption.audioAnchor,
+    audioFile: getAudioArchiveFileAt(session, caption.startMs),
+    speaker: caption.speaker
+  });
+  if (publishToYouTube && !room.hold) {
+    room.youtubePublisher.publish(caption.text).catch(err => {
+      // Error already logged in publish method
+    });
+  }
+}
 
-  sonioxWs = new WebSocket(SONIOX_WS_URL);
+// ===== CAPTION HOLD =====
 
-  sonioxWs.on('open', () => {
-    // Clear connection timeout
-    if (connectionTimeout) {
-      clearTimeout(connectionTimeout);
-      connectionTimeout = null;
-    }
-    
-    console.log('✅ Connected to Soniox WebSocket');
-    reconnectAttempts = 0;
-    connectionStartTime = Date.now();
-    
-    // Send configuration immediately (no delay for minimal latency)
-    if (sonioxWs.readyState === WebSocket.OPEN) {
-      // Build Soniox configuration
-      const sonioxConfig = {
-        api_key: config.apiKey,
-        model: 'stt-rt-v3',
-        endpoint_detection: true,
-        audio_format: 's16le',
-        sample_rate: 16000,
-        num_channels: 1
-      };
-      
-      // Handle source language (auto-detect or specific language)
-      if (config.sourceLanguage === 'auto') {
-        // Auto-detect mode - don't specify language_hints
-        console.log('🌐 Auto-detect mode: Soniox will detect language automatically');
-      } else {
-        // Specific language
-        sonioxConfig.language_hints = [config.sourceLanguage];
-      }
-      
-      // Add translation if source and target are different
-      if (config.sourceLanguage !== config.targetLanguage && config.targetLanguage !== 'none') {
-        sonioxConfig.translation = {
-          type: 'one_way',
-          target_language: config.targetLanguage
-        };
-        console.log(`🌍 Translation enabled: ${config.sourceLanguage} → ${config.targetLanguage}`);
-      } else {
-        console.log('📝 Translation disabled (same language or target is "none")');
-      }
+// An operator can put a room's captioning on hold (a break, a private moment) without
+// stopping it: the provider sessions stay open and audio is still timed, buffered and
+// archived, but none of it is sent for captioning. Caption displays are cleared, or
+// show a slate ("Captions will resume shortly"). Resuming is instant - no reconnect -
+// and the start and end of every hold are marked in the transcript.
 
-      try {
-        sonioxWs.send(JSON.stringify(sonioxConfig));
-        isSonioxConfigured = false; // Will be set true when we receive first tokens
-        console.log('📤 Configuration sent to Soniox');
-        console.log('📋 Config:', JSON.stringify(sonioxConfig, null, 2));
-        
-        // Mark as connected immediately - Soniox buffers audio while processing config
-        // This ensures audio isn't dropped and UI shows correct status
-        sonioxConnectionState = 'connected';
-        broadcastSonioxStatus('connected', `Connected: ${config.sourceLanguage} → ${config.targetLanguage}`);
-        console.log('✅ Soniox ready to receive audio');
-      } catch (error) {
-        console.error('❌ Error sending configuration to Soniox:', error);
-        sonioxConnectionState = 'error';
-        broadcastSonioxStatus('error', 'Failed to send configuration');
-        // Retry connection on config error
-        setTimeout(() => {
-          if (!manualDisconnect) connectToSoniox(config.apiKey, config.sourceLanguage, config.targetLanguage);
-        }, 1000);
-        return;
-      }
-    }
-    
-    // Start heartbeat to keep connection alive
-    startHeartbeat();
-  });
+const HOLD_SLATE_MAX_LENGTH = 200;
 
-  sonioxWs.on('message', (data) => {
-    // Check if connection is still valid (might be closed during shutdown)
-    if (!sonioxWs || sonioxWs.readyState !== WebSocket.OPEN) {
-      return; // Ignore messages after connection closed
-    }
-    
-    try {
-      // Soniox sends JSON messages
-      const message = JSON.parse(data.toString());
-      
-      // Reduced logging for performance (only log errors and occasional status)
-      if (!sonioxWs._messageCount) sonioxWs._messageCount = 0;
-      sonioxWs._messageCount++;
-      
-      // Only log first message and occasional status updates
-      if (sonioxWs._messageCount === 1) {
-        console.log('📥 First message from Soniox received');
-      } else if (sonioxWs._messageCount % 1000 === 0) {
-        const uptime = connectionStartTime ? ((Date.now() - connectionStartTime) / 1000 / 60).toFixed(1) : 0;
-        console.log(`📊 Processed ${sonioxWs._messageCount} messages (${uptime} min uptime)`);
-      }
-      
-      // Check for errors
-      if (message.error_code || message.error_message) {
-        console.error('❌ Soniox error:', message.error_message || message.error_code);
-        return;
-      }
+function normalizeHoldSlate(slate) {
+  return typeof slate === 'string' ? slate.trim().slice(0, HOLD_SLATE_MAX_LENGTH) : '';
+}
 
-      // Check if configuration was successful (first non-error message)
-      if (!isSonioxConfigured && message.tokens !== undefined) {
-        isSonioxConfigured = true;
-        console.log('✅ Soniox configuration confirmed - receiving transcriptions');
-        // Don't broadcast status again - already marked as connected when config was sent
-      }
+/**
+ * Put a room's captioning on hold, or change the slate of a held room
+ * @param {string} slate - Text shown on caption displays while held (empty: displays are cleared)
+ */
+function holdCaptioning(session, slate) {
+  slate = normalizeHoldSlate(slate);
+  if (!session.hold) {
+    // Captions in progress are finished first, so they are shown and logged whole
+    getRoomSessions(session).forEach(flushCaptionSegments);
+    session.hold = { since: Date.now(), slate };
+    console.log(`⏸️ Captioning on hold in room ${session.name}${slate ? ` (slate: "${slate}")` : ''}`);
+    logCaption(session, '⏸️ Captioning on hold', true, { event: 'hold' });
+  } else {
+    session.hold.slate = slate;
+  }
+  sendToCaptionDisplays(session, getHoldMessage(session));
+  broadcastHoldState(session);
+}
 
-      // Process transcription results
-      // Soniox sends tokens with translation_status: 'original' or 'translation'
-      // When source = target (no translation), tokens may not have translation_status
-      // Translation often comes in separate messages after original is finalized
-      // For LIVE translation, we send both partial and final results
-      if (message.tokens && Array.isArray(message.tokens) && message.tokens.length > 0) {
-        // Log first tokens to verify we're receiving them (with details for debugging)
-        if (sonioxWs._messageCount < 10) {
-          console.log(`🔍 Received ${message.tokens.length} tokens from Soniox`);
-          // Log token structure for first few messages to debug
-          if (message.tokens.length > 0) {
-            const sampleToken = message.tokens[0];
-            const hasOriginal = message.tokens.some(t => !t.translation_status || t.translation_status === 'original');
-            const hasTranslation = message.tokens.some(t => t.translation_status === 'translation' || t.translation_status === 'translated');
-            console.log(`   Token analysis:`, {
-              totalTokens: message.tokens.length,
-              hasText: !!sampleToken.text,
-              hasOriginalTokens: hasOriginal,
-              hasTranslatedTokens: hasTranslation,
-              sampleTranslationStatus: sampleToken.translation_status,
-              sampleIsFinal: sampleToken.is_final
-            });
-          }
-        } else if (Math.random() < 0.01) {
-          console.log(`🔍 Received ${message.tokens.length} tokens from Soniox`);
-        }
-        
-        // Check if translation is disabled (source = target)
-        const isTranslationDisabled = currentSonioxConfig.sourceLanguage === currentSonioxConfig.targetLanguage || 
-                                     currentSonioxConfig.targetLanguage === 'none';
-        
-        // Separate original and translated tokens
-        // When source = target, tokens may not have translation_status - treat ALL tokens as original
-        let originalTokens, translatedTokens;
-        if (isTranslationDisabled) {
-          // No translation - all tokens are "original" text
-          originalTokens = message.tokens.filter(t => t.text); // Only tokens with text
-          translatedTokens = []; // No translations
-        } else {
-          // Translation enabled - filter by translation_status
-          originalTokens = message.tokens.filter(t => 
-            !t.translation_status || 
-            t.translation_status === 'original'
-          );
-          translatedTokens = message.tokens.filter(t => 
-            t.translation_status === 'translation' || 
-            t.translation_status === 'translated'
-          );
-        }
-        
-        // Combine ALL token texts (both partial and final) for live feel
-        const originalText = originalTokens.map(t => t.text || '').join('').trim();
-        const translatedText = translatedTokens.map(t => t.text || '').join('').trim();
-        
-        // Check if we have final results
-        const finalOriginalTokens = originalTokens.filter(t => t.is_final === true);
-        const finalTranslatedTokens = translatedTokens.filter(t => t.is_final === true);
-        
-        // Handle translation-only messages (translation comes separately)
-        if (translatedTokens.length > 0 && originalTokens.length === 0) {
-          // Send translated text (both partial and final for live feel)
-          if (translatedText) {
-            const isFinal = finalTranslatedTokens.length > 0 && finalTranslatedTokens.length === translatedTokens.length;
-            // Log first few translations to debug startup delay
-            if (sonioxWs._messageCount < 10 || isFinal) {
-              console.log(`📝 ${isFinal ? 'Final' : 'Partial'} translation caption:`, translatedText);
-            }
-            
-            // Broadcast translated text immediately (live updates) - don't wait for final
-            broadcastToCaptions(translatedText);
-            
-            // Send to YouTube (only final results)
-            if (isFinal) {
-              logCaption(translatedText, true); // Log final caption to history
-              youtubePublisher.publish(translatedText).catch(err => {
-                // Error already logged in publish method
-              });
-            }
-          }
-          return; // Don't process further if this is translation-only
-        }
-        
-        // Handle original tokens (with or without translation in same message)
-        if (originalTokens.length > 0) {
-          // If we have translated text, send it (prefer translated over original)
-          if (translatedText) {
-            const isFinal = finalTranslatedTokens.length > 0 && finalTranslatedTokens.length === translatedTokens.length;
-            // Log first few translations to debug startup delay
-            if (sonioxWs._messageCount < 10 || (isFinal && Math.random() < 0.1)) {
-              console.log(`📝 ${isFinal ? 'Final' : 'Partial'} caption:`, translatedText.substring(0, 50) + (translatedText.length > 50 ? '...' : ''));
-            }
-            
-            // Broadcast translated text immediately (live updates) - don't wait for final
-            broadcastToCaptions(translatedText);
-            
-            // Send to YouTube (only final results)
-            if (isFinal) {
-              logCaption(translatedText, true); // Log final caption to history
-              youtubePublisher.publish(translatedText).catch(err => {
-                // Error already logged in publish method
-              });
-            }
-          } else if (originalText) {
-            // No translation - send original text
-            // If translation is disabled (source = target), always send original
-            // Otherwise, we wait for translation (don't send original source language)
-            const isFinal = finalOriginalTokens.length > 0 && finalOriginalTokens.length === originalTokens.length;
-            
-            if (isTranslationDisabled) {
-              // Translation disabled - send original text immediately
-              if (isFinal) {
-                console.log('📝 Final caption (no translation):', originalText);
-              }
-              
-              // Broadcast original text (live updates)
-              broadcastToCaptions(originalText);
-              
-              // Log and send to YouTube (only final results)
-              if (isFinal) {
-                logCaption(originalText, true);
-                youtubePublisher.publish(originalText).catch(err => {
-                  // Error already logged in publish method
-                });
-              }
-            } else {
-              // Translation enabled - wait for translation
-              // Only log final results to reduce log spam (partial results are too frequent)
-              if (isFinal) {
-                console.log('📝 Final original (waiting for translation):', originalText);
-              }
-              
-              // For now, we'll wait for translation (don't send original source language)
-              // Uncomment below if you want to show original while waiting for translation:
-              // captionClients.forEach(client => {
-              //   if (client.readyState === WebSocket.OPEN) {
-              //     client.send(originalText);
-              //   }
-              // });
-            }
-          }
-        }
-      }
-    } catch (error) {
-      // Only log if connection is still open (avoid errors during shutdown)
-      if (sonioxWs && sonioxWs.readyState === WebSocket.OPEN) {
-        const errorMessage = error?.message || error?.toString() || 'Unknown error';
-        console.error('❌ Error processing Soniox message:', errorMessage);
-        if (error?.stack && error.stack.length < 500) {
-          console.error('   Stack:', error.stack);
-        }
-      }
-      // Silently ignore errors during shutdown
-    }
-  });
+/**
+ * Resume a held room's captioning - audio is forwarded again from the next chunk
+ */
+function resumeCaptioning(session) {
+  if (!session.hold) return;
+  const heldSeconds = Math.round((Date.now() - session.hold.since) / 1000);
+  const heldFor = `${Math.floor(heldSeconds / 60)}:${String(heldSeconds % 60).padStart(2, '0')}`;
+  session.hold = null;
+  console.log(`▶️ Captioning resumed in room ${session.name} (on hold for ${heldFor})`);
+  logCaption(session, `▶️ Captioning resumed (on hold for ${heldFor})`, true, { event: 'resume' });
+  sendToCaptionDisplays(session, { type: 'resume', room: session.name });
+  broadcastHoldState(session);
+}
 
-  sonioxWs.on('error', (error) => {
-    // Clear connection timeout
-    if (connectionTimeout) {
-      clearTimeout(connectionTimeout);
-      connectionTimeout = null;
-    }
-    
-    const errorMessage = error?.message || error?.toString() || 'Unknown error';
-    console.error('❌ Soniox WebSocket error:', errorMessage);
-    if (error?.code) {
-      console.error('   Error code:', error.code);
-    }
-    if (error?.stack && error.stack.length < 500) {
-      console.error('   Stack:', error.stack);
-    }
-    // Update connection state
-    sonioxConnectionState = 'error';
-    broadcastSonioxStatus('error', `Connection error: ${errorMessage}`);
-    // Don't reconnect immediately on error, let close handler do it
-  });
+/**
+ * Hold state of a room for status messages and the HTTP API
+ */
+function getHoldState(session) {
+  return session.hold
+    ? { held: true, since: new Date(session.hold.since).toISOString(), slate: session.hold.slate }
+    : { held: false };
+}
 
-  sonioxWs.on('close', (code, reason) => {
-    // Clear connection timeout
-    if (connectionTimeout) {
-      clearTimeout(connectionTimeout);
-      connectionTimeout = null;
-    }
-    
-    const sessionDuration = connectionStartTime ? ((Date.now() - connectionStartTime) / 1000 / 60).toFixed(1) : 0;
-    console.log(`🔌 Soniox WebSocket closed: ${code} ${reason?.toString() || ''} (Session: ${sessionDuration} min)`);
-    isSonioxConfigured = false;
-    stopHeartbeat();
-    
-    // Update connection state
-    if (manualDisconnect) {
-      sonioxConnectionState = 'disconnected';
-      broadcastSonioxStatus('disconnected', 'Connection stopped by user');
-    } else {
-      sonioxConnectionState = 'disconnected';
-      const reasonStr = reason?.toString() || 'Unknown reason';
-      broadcastSonioxStatus('disconnected', `Connection closed: ${reasonStr} (code: ${code})`);
-    }
-    
-    // Only reconnect if not a normal closure (1000) or going away (1001), and not a manual disconnect
-    if (code !== 1000 && code !== 1001 && !manualDisconnect) {
-      scheduleReconnect();
-    } else if (manualDisconnect) {
-      console.log('ℹ️ Manual disconnect - not reconnecting');
+/**
+ * Message that puts caption displays on hold
+ */
+function getHoldMessage(session) {
+  return { type: 'hold', room: session.name, slate: session.hold.slate };
+}
+
+function broadcastHoldState(session) {
+  broadcastToOperators(session, { type: 'hold_state', room: session.name, ...getHoldState(session) });
+}
+
+/**
+ * Send a control message to a room's caption displays (plain text displays only get captions)
+ */
+function sendToCaptionDisplays(session, message) {
+  const data = JSON.stringify(message);
+  session.captionClients.forEach(client => {
+    if (client.captionFormat === 'text' || client.readyState !== WebSocket.OPEN) return;
+    try {
+      client.send(data);
+    } catch (err) {
+      session.captionClients.delete(client);
     }
   });
 }
 
 // Update scheduleReconnect to respect manual disconnect
-let isReconnecting = false; // Prevent multiple simultaneous reconnect attempts
-
-function scheduleReconnect() {
-  if (manualDisconnect) {
+function scheduleReconnect(session, stream) {
+  if (session.manualDisconnect) {
     // Only log once per shutdown to avoid spam
-    if (!isReconnecting) {
+    if (!stream.isReconnecting) {
       console.log('ℹ️ Manual disconnect active - skipping reconnect');
-      isReconnecting = true; // Set flag to prevent repeated logs
+      stream.isReconnecting = true; // Set flag to prevent repeated logs
     }
     return;
   }
-  
+
   // Prevent multiple simultaneous reconnect attempts
-  if (isReconnecting && reconnectTimeout) {
+  if (stream.isReconnecting && stream.reconnectTimeout) {
     return; // Already reconnecting
   }
-  
-  if (reconnectTimeout) {
-    clearTimeout(reconnectTimeout);
-    reconnectTimeout = null;
+
+  if (stream.reconnectTimeout) {
+    clearTimeout(stream.reconnectTimeout);
+    stream.reconnectTimeout = null;
   }
-  
-  if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+
+  if (stream.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
     console.error('❌ Max reconnection attempts reached');
-    sonioxConnectionState = 'error';
-    broadcastSonioxStatus('error', 'Max reconnection attempts reached');
-    isReconnecting = false;
+    setStreamState(session, stream, 'error', 'Max reconnection attempts reached');
+    stream.isReconnecting = false;
     return;
   }
-  
-  isReconnecting = true;
-  reconnectAttempts++;
-  const delay = Math.min(RECONNECT_DELAY * Math.pow(1.5, reconnectAttempts - 1), 30000); // Max 30s delay
-  
-  console.log(`🔄 Reconnecting to Soniox in ${(delay/1000).toFixed(1)}s (attempt ${reconnectAttempts})...`);
-  sonioxConnectionState = 'connecting';
-  broadcastSonioxStatus('connecting', `Reconnecting... (attempt ${reconnectAttempts})`);
-  
-  reconnectTimeout = setTimeout(() => {
-    reconnectTimeout = null;
-    isReconnecting = false;
-    if (!manualDisconnect && (!sonioxWs || sonioxWs.readyState !== WebSocket.OPEN)) {
-      connectToSoniox(currentSonioxConfig.apiKey, currentSonioxConfig.sourceLanguage, currentSonioxConfig.targetLanguage);
+
+  stream.isReconnecting = true;
+  stream.reconnectAttempts++;
+  const delay = Math.min(RECONNECT_DELAY * Math.pow(1.5, stream.reconnectAttempts - 1), 30000); // Max 30s delay
+
+  console.log(`🔄 Reconnecting to ${SPEECH_PROVIDERS[session.providerConfig.provider]?.label || 'speech provider'} (${stream.language}) in ${(delay/1000).toFixed(1)}s (attempt ${stream.reconnectAttempts})...`);
+  setStreamState(session, stream, 'connecting', `Reconnecting... (attempt ${stream.reconnectAttempts})`);
+
+  stream.reconnectTimeout = setTimeout(() => {
+    stream.reconnectTimeout = null;
+    stream.isReconnecting = false;
+    // Skip if the room was stopped or restarted with new streams in the meantime
+    if (session.manualDisconnect || session.streams.get(stream.language) !== stream) return;
+    if (!stream.provider || !stream.provider.isOpen) {
+      connectStream(session, stream);
     }
   }, delay);
 }
 
-
 /**
  * Start heartbeat to keep connection alive
  */
-function startHeartbeat() {
-  stopHeartbeat();
-  heartbeatInterval = setInterval(() => {
-    if (sonioxWs && sonioxWs.readyState === WebSocket.OPEN) {
+function startHeartbeat(session) {
+  stopHeartbeat(session);
+  session.heartbeatInterval = setInterval(() => {
+    const openProviders = Array.from(session.streams.values())
+      .filter(stream => stream.provider && stream.provider.isOpen)
+      .map(stream => stream.provider);
+    if (openProviders.length > 0) {
       // Check if we've sent audio recently (within last 60 seconds)
-      const timeSinceLastAudio = Date.now() - lastAudioSentTime;
+      const timeSinceLastAudio = Date.now() - session.lastAudioSentTime;
       if (timeSinceLastAudio > 60000) {
         // No audio for 60s, send a ping to keep connection alive
         try {
-          // Soniox doesn't support ping frames, but we can send empty audio or check connection
+          // Providers don't support ping frames, but we can send empty audio or check connection
           // For now, just log connection health
-          const uptime = connectionStartTime ? ((Date.now() - connectionStartTime) / 1000 / 60).toFixed(1) : 0;
+          const provider = openProviders[0];
+          const uptime = provider.connectedAt ? ((Date.now() - provider.connectedAt) / 1000 / 60).toFixed(1) : 0;
           if (Math.random() < 0.1) { // Log 10% of heartbeats
-            console.log(`💓 Connection healthy (${uptime} min uptime)`);
+            console.log(`💓 Connection healthy (${uptime} min uptime, ${openProviders.length} stream(s))`);
           }
         } catch (error) {
           console.error('❌ Heartbeat error:', error.message);
         }
       }
     } else {
-      stopHeartbeat();
+      stopHeartbeat(session);
     }
   }, HEARTBEAT_INTERVAL);
 }
@@ -2688,10 +6886,10 @@ function startHeartbeat() {
 /**
  * Stop heartbeat
  */
-function stopHeartbeat() {
-  if (heartbeatInterval) {
-    clearInterval(heartbeatInterval);
-    heartbeatInterval = null;
+function stopHeartbeat(session) {
+  if (session.heartbeatInterval) {
+    clearInterval(session.heartbeatInterval);
+    session.heartbeatInterval = null;
   }
 }
 
@@ -2701,11 +6899,21 @@ function stopHeartbeat() {
 function gracefulShutdown() {
   console.log('\n🛑 Shutting down gracefully...');
 
-  // Close Soniox connection
-  if (sonioxWs) {
-    stopHeartbeat();
-    sonioxWs.close();
-  }
+  // Close speech provider connections
+  sessions.forEach(room => getRoomSessions(room).forEach(session => {
+    stopHeartbeat(session);
+    session.streams.forEach(stream => {
+      if (stream.reconnectTimeout) {
+        clearTimeout(stream.reconnectTimeout);
+      }
+      if (stream.provider) {
+        stream.provider.close(1001, 'Server shutting down');
+      }
+    });
+  }));
+
+  // Stop accepting network audio
+  ingestTcpServers.forEach(tcpServer => tcpServer.close());
 
   // Close all client connections
   wssClients.clients.forEach(client => {
@@ -2719,8 +6927,11 @@ function gracefulShutdown() {
   logStream.end(() => {
     console.log('📝 Log file closed');
   });
-  captionsStream.end(() => {
-    console.log('📝 Captions file closed');
+  sessions.forEach(session => {
+    getRoomSessions(session).forEach(closeAudioArchiveFile);
+    session.captionsStream.end(() => {
+      console.log(`📝 Captions file closed (${session.name})`);
+    });
   });
 
   // Close server
@@ -2755,6 +6966,10 @@ process.on('unhandledRejection', (reason, promise) => {
  * Start server
  */
 const PORT = process.env.PORT || 8080;
+getSession(DEFAULT_ROOM); // The main room always exists, other rooms are created on first use
+startIngestTcpServers();
+startAudioArchive();
+startAudioHealthMonitor();
 server.listen(PORT, () => {
   console.log(`🚀 WebSocket server running on http://localhost:${PORT}`);
   console.log(`📡 Client endpoint: ws://localhost:${PORT}/client`);
@@ -2762,6 +6977,8 @@ server.listen(PORT, () => {
   console.log(`🌐 Open http://localhost:${PORT} in Resolume Browser Source`);
   console.log(`📊 Server logs: http://localhost:${PORT}/logs`);
   console.log(`📝 Caption transcript: http://localhost:${PORT}/transcript`);
+  console.log(`🏠 Rooms: add ?room=<name> to any of the above (default: ${DEFAULT_ROOM}), list at http://localhost:${PORT}/sessions`);
+  console.log(`🎚️ Audio ingest: POST raw PCM or WAV to http://localhost:${PORT}/ingest`);
   console.log(`⏱️  Optimized for long-running sessions (3+ hours)`);
 });
 